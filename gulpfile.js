@@ -148,6 +148,7 @@ gulp.task("js:vendor", () => {
       "node_modules/jquery/dist/jquery.min.js",
       "node_modules/jquery-jsonview/dist/jquery.jsonview.js",
       "node_modules/mark.js/dist/jquery.mark.min.js",
+      "node_modules/lz-string/libs/lz-string.min.js",
     ])
     .pipe(uglify())
     .pipe(concat("vendor.min.js"))
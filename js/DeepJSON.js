@@ -0,0 +1,103 @@
+/**
+ * @class DeepJSON
+ * @description Decodes JSON values whose strings hold JSON themselves (e.g. the state stored by redux-persist)
+ * and encodes them back to the original nesting.
+ */
+class DeepJSON {
+  /**
+   * @method decode
+   * @description Recursively replaces strings holding a JSON object or array with the parsed value.
+   * A string encoded several times is decoded until an object or array comes out.
+   * @param {*} value - The parsed value.
+   * @param {function(string): *} parse - Parses a string, returning null if it is not JSON.
+   * @returns {{value: *, paths: Array<Array<string|number>>}} The decoded value and the paths of the decoded
+   * strings, deepest last. A path appears once per level of encoding; the root has the path `[]`.
+   * @static
+   */
+  static decode(value, parse) {
+    const paths = [];
+
+    const decodeString = (text) => {
+      let current = text;
+      let levels = 0;
+      while (typeof current === "string") {
+        current = parse(current);
+        levels++;
+      }
+      return current !== null && typeof current === "object"
+        ? { value: current, levels }
+        : null;
+    };
+
+    const walk = (node, path) => {
+      if (typeof node === "string") {
+        const decoded = decodeString(node);
+        if (!decoded) {
+          return node;
+        }
+        for (let i = 0; i < decoded.levels; i++) {
+          paths.push(path);
+        }
+        return walk(decoded.value, path);
+      }
+      if (Array.isArray(node)) {
+        return node.map((item, index) => walk(item, path.concat(index)));
+      }
+      if (node !== null && typeof node === "object") {
+        const result = {};
+        Object.keys(node).forEach((key) => {
+          result[key] = walk(node[key], path.concat(key));
+        });
+        return result;
+      }
+      return node;
+    };
+
+    return { value: walk(value, []), paths };
+  }
+
+  /**
+   * @method encode
+   * @description Stringifies the nodes at the given paths again, deepest first, reversing `decode`.
+   * Paths that no longer exist (e.g. removed in the editor) are skipped.
+   * @param {*} value - The decoded value. It is not modified.
+   * @param {Array<Array<string|number>>} paths - The paths returned by `decode`.
+   * @returns {*} The encoded value; a string if the root was decoded.
+   * @static
+   */
+  static encode(value, paths) {
+    let result = value === undefined ? value : JSON.parse(JSON.stringify(value));
+
+    paths
+      .slice()
+      .sort((a, b) => b.length - a.length)
+      .forEach((path) => {
+        if (!path.length) {
+          result = JSON.stringify(result);
+          return;
+        }
+
+        const parent = path
+          .slice(0, -1)
+          .reduce(
+            (node, segment) =>
+              node !== null && typeof node === "object" ? node[segment] : undefined,
+            result
+          );
+        const last = path[path.length - 1];
+        if (
+          parent !== null &&
+          typeof parent === "object" &&
+          Object.prototype.hasOwnProperty.call(parent, last)
+        ) {
+          parent[last] = JSON.stringify(parent[last]);
+        }
+      });
+
+    return result;
+  }
+}
+
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = DeepJSON;
+}
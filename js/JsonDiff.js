@@ -0,0 +1,155 @@
+/**
+ * @class JsonDiff
+ * @description Computes structural differences between two JSON values.
+ * Objects are compared by property name and arrays by index.
+ */
+class JsonDiff {
+  /**
+   * @method diff
+   * @description Lists the paths that were added, removed or changed between two values.
+   * @param {*} before - The old value.
+   * @param {*} after - The new value.
+   * @param {Array<string|number>} [path=[]] - The path of the compared values, used for recursion.
+   * @returns {Array<{type: string, path: Array<string|number>, before: *, after: *}>} The differences,
+   * where `type` is 'added', 'removed' or 'changed'.
+   * @static
+   */
+  static diff(before, after, path = []) {
+    const isBeforeArray = Array.isArray(before);
+    const isAfterArray = Array.isArray(after);
+
+    if (isBeforeArray && isAfterArray) {
+      const entries = [];
+      const length = Math.max(before.length, after.length);
+      for (let index = 0; index < length; index++) {
+        const itemPath = path.concat(index);
+        if (index >= before.length) {
+          entries.push(JsonDiff._entry("added", itemPath, undefined, after[index]));
+        } else if (index >= after.length) {
+          entries.push(JsonDiff._entry("removed", itemPath, before[index]));
+        } else {
+          entries.push(...JsonDiff.diff(before[index], after[index], itemPath));
+        }
+      }
+      return entries;
+    }
+
+    if (
+      JsonDiff._isObject(before) &&
+      JsonDiff._isObject(after) &&
+      !isBeforeArray &&
+      !isAfterArray
+    ) {
+      const entries = [];
+      Object.keys(before).forEach((key) => {
+        const itemPath = path.concat(key);
+        if (!Object.prototype.hasOwnProperty.call(after, key)) {
+          entries.push(JsonDiff._entry("removed", itemPath, before[key]));
+        } else {
+          entries.push(...JsonDiff.diff(before[key], after[key], itemPath));
+        }
+      });
+      Object.keys(after).forEach((key) => {
+        if (!Object.prototype.hasOwnProperty.call(before, key)) {
+          entries.push(
+            JsonDiff._entry("added", path.concat(key), undefined, after[key])
+          );
+        }
+      });
+      return entries;
+    }
+
+    if (before === after) {
+      return [];
+    }
+    return [JsonDiff._entry("changed", path, before, after)];
+  }
+
+  /**
+   * @method compareStorages
+   * @description Compares two raw storage contents key by key. Values of keys present on both sides
+   * are parsed and diffed structurally.
+   * @param {Object<string, string>} left - The raw contents of the left storage.
+   * @param {Object<string, string>} right - The raw contents of the right storage.
+   * @param {function(string): *} [parse] - Parses a raw value before diffing; raw strings are compared by default.
+   * @returns {{onlyLeft: string[], onlyRight: string[], changed: Array<{key: string, entries: Array<object>}>, unchanged: string[]}}
+   * The keys found on one side only, the changed keys with their diff entries, and the unchanged keys.
+   * @static
+   */
+  static compareStorages(left, right, parse = (raw) => raw) {
+    const has = (storage, key) =>
+      Object.prototype.hasOwnProperty.call(storage, key);
+    const result = { onlyLeft: [], onlyRight: [], changed: [], unchanged: [] };
+
+    Object.keys(left).forEach((key) => {
+      if (!has(right, key)) {
+        result.onlyLeft.push(key);
+      } else if (left[key] === right[key]) {
+        result.unchanged.push(key);
+      } else {
+        const entries = JsonDiff.diff(parse(left[key]), parse(right[key]));
+        // Different raw strings may still be equal values, e.g. when only the formatting differs
+        if (entries.length) {
+          result.changed.push({ key, entries });
+        } else {
+          result.unchanged.push(key);
+        }
+      }
+    });
+    Object.keys(right).forEach((key) => {
+      if (!has(left, key)) {
+        result.onlyRight.push(key);
+      }
+    });
+
+    return result;
+  }
+
+  /**
+   * @method formatPath
+   * @description Formats a path as a JavaScript-like accessor, e.g. `items[3].sku` or `["my key"].id`.
+   * @param {Array<string|number>} path - The path to format.
+   * @returns {string} The formatted path, an empty string for the root.
+   * @static
+   */
+  static formatPath(path) {
+    return path.reduce((result, segment) => {
+      if (typeof segment === "number") {
+        return `${result}[${segment}]`;
+      }
+      if (/^[A-Za-z_$][\w$]*$/.test(segment)) {
+        return result ? `${result}.${segment}` : segment;
+      }
+      return `${result}[${JSON.stringify(segment)}]`;
+    }, "");
+  }
+
+  /**
+   * Creates a diff entry.
+   * @param {string} type - The type of the difference ('added', 'removed' or 'changed').
+   * @param {Array<string|number>} path - The path of the difference.
+   * @param {*} before - The old value.
+   * @param {*} after - The new value.
+   * @returns {{type: string, path: Array<string|number>, before: *, after: *}} The entry.
+   * @private
+   * @static
+   */
+  static _entry(type, path, before, after) {
+    return { type, path, before, after };
+  }
+
+  /**
+   * Tells whether a value is a non-null object (including arrays).
+   * @param {*} value - The value to check.
+   * @returns {boolean} True for objects and arrays.
+   * @private
+   * @static
+   */
+  static _isObject(value) {
+    return value !== null && typeof value === "object";
+  }
+}
+
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = JsonDiff;
+}
@@ -0,0 +1,624 @@
+/**
+ * @class JsonQuery
+ * @description Evaluates JSONPath expressions against parsed values, e.g. `$.orders[?(@.status=='failed')].id`.
+ * Supported are child (`.name`, `['name']`, `[0]`, `[-1]`), wildcard (`*`), recursive descent (`..`),
+ * union (`[0,2]`), slice (`[1:5:2]`) and filter (`[?(@.price < 10 && @.tags)]`) selectors. Filters compare
+ * with `==`, `!=`, `<`, `<=`, `>`, `>=` and `=~` (a regular expression literal), and combine with `&&`, `||` and `!`.
+ * A few jq habits are accepted too: the leading `$` may be omitted and `[]` means `[*]`.
+ */
+class JsonQuery {
+  /**
+   * @method query
+   * @description Evaluates an expression.
+   * @param {*} value - The value to query.
+   * @param {string} expression - The JSONPath expression.
+   * @returns {Array<{path: Array<string|number>, value: *}>} The matching nodes in document order.
+   * @throws {SyntaxError} If the expression is invalid.
+   * @static
+   */
+  static query(value, expression) {
+    const segments = JsonQuery.parse(expression);
+    let nodes = [{ path: [], value }];
+    segments.forEach(({ isDescendant, selectors }) => {
+      const parents = isDescendant
+        ? nodes.flatMap((node) => JsonQuery._descendants(node))
+        : nodes;
+      nodes = parents.flatMap((node) =>
+        selectors.flatMap((selector) =>
+          JsonQuery._select(node, selector, value)
+        )
+      );
+    });
+    return nodes;
+  }
+
+  /**
+   * @method parse
+   * @description Parses an expression into segments.
+   * @param {string} expression - The JSONPath expression.
+   * @returns {Array<{isDescendant: boolean, selectors: Array<object>}>} The segments, each with its selectors.
+   * @throws {SyntaxError} If the expression is invalid.
+   * @static
+   */
+  static parse(expression) {
+    const state = { text: expression.trim(), pos: 0 };
+    JsonQuery._skip(state, "$");
+    const segments = [];
+    while (!JsonQuery._isEnd(state)) {
+      segments.push(JsonQuery._parseSegment(state));
+    }
+    return segments;
+  }
+
+  /**
+   * Lists a node and all nodes nested in it, in document order.
+   * @param {{path: Array<string|number>, value: *}} node - The node.
+   * @returns {Array<{path: Array<string|number>, value: *}>} The nodes.
+   * @private
+   * @static
+   */
+  static _descendants(node) {
+    return [node].concat(
+      ...JsonQuery._children(node).map((child) =>
+        JsonQuery._descendants(child)
+      )
+    );
+  }
+
+  /**
+   * Lists the direct children of a node: the items of an array or the properties of an object.
+   * @param {{path: Array<string|number>, value: *}} node - The node.
+   * @returns {Array<{path: Array<string|number>, value: *}>} The children.
+   * @private
+   * @static
+   */
+  static _children({ path, value }) {
+    if (Array.isArray(value)) {
+      return value.map((item, index) => ({
+        path: path.concat(index),
+        value: item,
+      }));
+    }
+    if (value !== null && typeof value === "object") {
+      return Object.keys(value).map((key) => ({
+        path: path.concat(key),
+        value: value[key],
+      }));
+    }
+    return [];
+  }
+
+  /**
+   * Applies a selector to a node.
+   * @param {{path: Array<string|number>, value: *}} node - The node.
+   * @param {object} selector - The selector.
+   * @param {*} root - The queried value, referenced as `$` in filters.
+   * @returns {Array<{path: Array<string|number>, value: *}>} The selected nodes.
+   * @private
+   * @static
+   */
+  static _select(node, selector, root) {
+    const { path, value } = node;
+    const isArray = Array.isArray(value);
+    switch (selector.type) {
+      case "name":
+        return value !== null &&
+          typeof value === "object" &&
+          !isArray &&
+          Object.prototype.hasOwnProperty.call(value, selector.name)
+          ? [{ path: path.concat(selector.name), value: value[selector.name] }]
+          : [];
+      case "index": {
+        if (!isArray) return [];
+        const index =
+          selector.index < 0 ? value.length + selector.index : selector.index;
+        return index >= 0 && index < value.length
+          ? [{ path: path.concat(index), value: value[index] }]
+          : [];
+      }
+      case "wildcard":
+        return JsonQuery._children(node);
+      case "slice":
+        return isArray
+          ? JsonQuery._sliceIndexes(value.length, selector).map((index) => ({
+              path: path.concat(index),
+              value: value[index],
+            }))
+          : [];
+      case "filter":
+        return JsonQuery._children(node).filter((child) =>
+          JsonQuery._isTruthy(
+            JsonQuery._evaluate(selector.expr, child.value, root)
+          )
+        );
+      default:
+        return [];
+    }
+  }
+
+  /**
+   * Lists the array indexes selected by a slice, with the semantics of Python slices.
+   * @param {number} length - The length of the array.
+   * @param {{start: ?number, end: ?number, step: ?number}} slice - The slice.
+   * @returns {number[]} The indexes.
+   * @private
+   * @static
+   */
+  static _sliceIndexes(length, { start, end, step }) {
+    const by = step === null ? 1 : step;
+    if (by === 0) return [];
+
+    const normalize = (index, fallback) => {
+      if (index === null) return fallback;
+      return index < 0 ? Math.max(length + index, by > 0 ? 0 : -1) : index;
+    };
+    const from = normalize(start, by > 0 ? 0 : length - 1);
+    const to = normalize(end, by > 0 ? length : -1);
+    const indexes = [];
+    for (
+      let index = Math.min(from, by > 0 ? length : length - 1);
+      by > 0 ? index < Math.min(to, length) : index > to;
+      index += by
+    ) {
+      indexes.push(index);
+    }
+    return indexes;
+  }
+
+  /**
+   * Evaluates a filter expression for a node.
+   * @param {object} expr - The parsed expression.
+   * @param {*} current - The value of the node, referenced as `@`.
+   * @param {*} root - The queried value, referenced as `$`.
+   * @returns {*} The result; missing values are undefined.
+   * @private
+   * @static
+   */
+  static _evaluate(expr, current, root) {
+    const evaluate = (operand) => JsonQuery._evaluate(operand, current, root);
+    switch (expr.type) {
+      case "literal":
+        return expr.value;
+      case "path":
+        return expr.steps.reduce(
+          (value, step) =>
+            value !== null &&
+            typeof value === "object" &&
+            Object.prototype.hasOwnProperty.call(value, step)
+              ? value[step]
+              : undefined,
+          expr.isRoot ? root : current
+        );
+      case "not":
+        return !JsonQuery._isTruthy(evaluate(expr.operand));
+      case "and":
+        return (
+          JsonQuery._isTruthy(evaluate(expr.left)) &&
+          JsonQuery._isTruthy(evaluate(expr.right))
+        );
+      case "or":
+        return (
+          JsonQuery._isTruthy(evaluate(expr.left)) ||
+          JsonQuery._isTruthy(evaluate(expr.right))
+        );
+      case "compare":
+        return JsonQuery._compare(
+          expr.operator,
+          evaluate(expr.left),
+          evaluate(expr.right)
+        );
+      default:
+        return undefined;
+    }
+  }
+
+  /**
+   * Compares two values. Ordering only applies to two numbers or two strings.
+   * @param {string} operator - The operator.
+   * @param {*} left - The left value.
+   * @param {*} right - The right value; a RegExp for `=~`.
+   * @returns {boolean} The result.
+   * @private
+   * @static
+   */
+  static _compare(operator, left, right) {
+    const isEqual = () => JSON.stringify(left) === JSON.stringify(right);
+    const isComparable =
+      (typeof left === "number" && typeof right === "number") ||
+      (typeof left === "string" && typeof right === "string");
+    switch (operator) {
+      case "==":
+        return left !== undefined && right !== undefined && isEqual();
+      case "!=":
+        return !(left !== undefined && right !== undefined && isEqual());
+      case "<":
+        return isComparable && left < right;
+      case "<=":
+        return isComparable && left <= right;
+      case ">":
+        return isComparable && left > right;
+      case ">=":
+        return isComparable && left >= right;
+      case "=~":
+        return (
+          typeof left === "string" && right instanceof RegExp && right.test(left)
+        );
+      default:
+        return false;
+    }
+  }
+
+  /**
+   * Tells whether a filter result selects a node: missing values, false and null do not.
+   * @param {*} value - The result.
+   * @returns {boolean} True if the node is selected.
+   * @private
+   * @static
+   */
+  static _isTruthy(value) {
+    return value !== undefined && value !== false && value !== null;
+  }
+
+  /**
+   * Tells whether the whole expression has been parsed.
+   * @param {{text: string, pos: number}} state - The parser state.
+   * @returns {boolean} True at the end of the expression.
+   * @private
+   * @static
+   */
+  static _isEnd(state) {
+    JsonQuery._skipSpaces(state);
+    return state.pos >= state.text.length;
+  }
+
+  /**
+   * Consumes a token if the expression continues with it.
+   * @param {{text: string, pos: number}} state - The parser state.
+   * @param {string} token - The token.
+   * @returns {boolean} True if the token was consumed.
+   * @private
+   * @static
+   */
+  static _skip(state, token) {
+    JsonQuery._skipSpaces(state);
+    if (state.text.startsWith(token, state.pos)) {
+      state.pos += token.length;
+      return true;
+    }
+    return false;
+  }
+
+  /**
+   * Consumes a token that must come next.
+   * @param {{text: string, pos: number}} state - The parser state.
+   * @param {string} token - The token.
+   * @throws {SyntaxError} If the expression does not continue with the token.
+   * @private
+   * @static
+   */
+  static _expect(state, token) {
+    if (!JsonQuery._skip(state, token)) {
+      JsonQuery._fail(state, `Expected "${token}"`);
+    }
+  }
+
+  /**
+   * Reports a syntax error at the current position.
+   * @param {{text: string, pos: number}} state - The parser state.
+   * @param {string} message - The message.
+   * @throws {SyntaxError} Always.
+   * @private
+   * @static
+   */
+  static _fail(state, message) {
+    throw new SyntaxError(`${message} at position ${state.pos + 1}`);
+  }
+
+  /**
+   * Skips whitespace.
+   * @param {{text: string, pos: number}} state - The parser state.
+   * @private
+   * @static
+   */
+  static _skipSpaces(state) {
+    while (/\s/.test(state.text[state.pos] || "")) {
+      state.pos++;
+    }
+  }
+
+  /**
+   * Parses a segment: `.name`, `.*`, `..name`, `..*`, `..[…]` or `[…]`.
+   * @param {{text: string, pos: number}} state - The parser state.
+   * @returns {{isDescendant: boolean, selectors: Array<object>}} The segment.
+   * @private
+   * @static
+   */
+  static _parseSegment(state) {
+    const isDescendant = JsonQuery._skip(state, "..");
+    // jq style: .[0] and .["name"]
+    if (!isDescendant && state.text.startsWith(".[", state.pos)) {
+      state.pos++;
+    }
+    if (JsonQuery._skip(state, "[")) {
+      return { isDescendant, selectors: JsonQuery._parseBracket(state) };
+    }
+    if (!isDescendant && !JsonQuery._skip(state, ".")) {
+      JsonQuery._fail(state, `Unexpected "${state.text[state.pos]}"`);
+    }
+    const selector = JsonQuery._skip(state, "*")
+      ? { type: "wildcard" }
+      : { type: "name", name: JsonQuery._parseName(state) };
+    return { isDescendant, selectors: [selector] };
+  }
+
+  /**
+   * Parses a property name after a dot.
+   * @param {{text: string, pos: number}} state - The parser state.
+   * @returns {string} The name.
+   * @private
+   * @static
+   */
+  static _parseName(state) {
+    const match = /^[^\s.[\]()!=<>&|,'"]+/.exec(state.text.slice(state.pos));
+    if (!match) {
+      JsonQuery._fail(state, "Expected a property name");
+    }
+    state.pos += match[0].length;
+    return match[0];
+  }
+
+  /**
+   * Parses the selectors of a bracket after its `[`; an empty bracket is a wildcard.
+   * @param {{text: string, pos: number}} state - The parser state.
+   * @returns {Array<object>} The selectors.
+   * @private
+   * @static
+   */
+  static _parseBracket(state) {
+    if (JsonQuery._skip(state, "]")) {
+      return [{ type: "wildcard" }];
+    }
+    const selectors = [JsonQuery._parseBracketSelector(state)];
+    while (JsonQuery._skip(state, ",")) {
+      selectors.push(JsonQuery._parseBracketSelector(state));
+    }
+    JsonQuery._expect(state, "]");
+    return selectors;
+  }
+
+  /**
+   * Parses a selector inside brackets: a quoted name, an index, a slice, `*` or a filter.
+   * @param {{text: string, pos: number}} state - The parser state.
+   * @returns {object} The selector.
+   * @private
+   * @static
+   */
+  static _parseBracketSelector(state) {
+    if (JsonQuery._skip(state, "*")) {
+      return { type: "wildcard" };
+    }
+    if (JsonQuery._skip(state, "?")) {
+      const hasParens = JsonQuery._skip(state, "(");
+      const expr = JsonQuery._parseOr(state);
+      if (hasParens) {
+        JsonQuery._expect(state, ")");
+      }
+      return { type: "filter", expr };
+    }
+    if (JsonQuery._isQuote(state)) {
+      return { type: "name", name: JsonQuery._parseString(state) };
+    }
+
+    const start = JsonQuery._parseInteger(state);
+    if (!JsonQuery._skip(state, ":")) {
+      if (start === null) {
+        JsonQuery._fail(
+          state,
+          "Expected an index, a name, a slice, * or a filter"
+        );
+      }
+      return { type: "index", index: start };
+    }
+    const end = JsonQuery._parseInteger(state);
+    const step = JsonQuery._skip(state, ":")
+      ? JsonQuery._parseInteger(state)
+      : null;
+    return { type: "slice", start, end, step };
+  }
+
+  /**
+   * Parses an optional integer.
+   * @param {{text: string, pos: number}} state - The parser state.
+   * @returns {number|null} The integer, or null if there is none.
+   * @private
+   * @static
+   */
+  static _parseInteger(state) {
+    JsonQuery._skipSpaces(state);
+    const match = /^-?\d+/.exec(state.text.slice(state.pos));
+    if (!match) return null;
+    state.pos += match[0].length;
+    return Number(match[0]);
+  }
+
+  /**
+   * Tells whether a quoted string starts at the current position.
+   * @param {{text: string, pos: number}} state - The parser state.
+   * @returns {boolean} True before a quote.
+   * @private
+   * @static
+   */
+  static _isQuote(state) {
+    JsonQuery._skipSpaces(state);
+    return state.text[state.pos] === "'" || state.text[state.pos] === '"';
+  }
+
+  /**
+   * Parses a string in single or double quotes; a backslash escapes the next character.
+   * @param {{text: string, pos: number}} state - The parser state.
+   * @returns {string} The string.
+   * @private
+   * @static
+   */
+  static _parseString(state) {
+    const quote = state.text[state.pos++];
+    let value = "";
+    while (state.pos < state.text.length && state.text[state.pos] !== quote) {
+      if (state.text[state.pos] === "\\") {
+        state.pos++;
+      }
+      value += state.text[state.pos++];
+    }
+    if (state.pos >= state.text.length) {
+      JsonQuery._fail(state, "Unterminated string");
+    }
+    state.pos++;
+    return value;
+  }
+
+  /**
+   * Parses a filter expression: `||` has a lower precedence than `&&`.
+   * @param {{text: string, pos: number}} state - The parser state.
+   * @returns {object} The expression.
+   * @private
+   * @static
+   */
+  static _parseOr(state) {
+    let left = JsonQuery._parseAnd(state);
+    while (JsonQuery._skip(state, "||")) {
+      left = { type: "or", left, right: JsonQuery._parseAnd(state) };
+    }
+    return left;
+  }
+
+  /**
+   * Parses a chain of `&&` operands.
+   * @param {{text: string, pos: number}} state - The parser state.
+   * @returns {object} The expression.
+   * @private
+   * @static
+   */
+  static _parseAnd(state) {
+    let left = JsonQuery._parseUnary(state);
+    while (JsonQuery._skip(state, "&&")) {
+      left = { type: "and", left, right: JsonQuery._parseUnary(state) };
+    }
+    return left;
+  }
+
+  /**
+   * Parses a negation, a parenthesized expression, a comparison or a single operand.
+   * @param {{text: string, pos: number}} state - The parser state.
+   * @returns {object} The expression.
+   * @private
+   * @static
+   */
+  static _parseUnary(state) {
+    if (JsonQuery._skip(state, "!")) {
+      return { type: "not", operand: JsonQuery._parseUnary(state) };
+    }
+    if (JsonQuery._skip(state, "(")) {
+      const expr = JsonQuery._parseOr(state);
+      JsonQuery._expect(state, ")");
+      return expr;
+    }
+    const left = JsonQuery._parseOperand(state);
+    const operator = ["==", "!=", "<=", ">=", "=~", "<", ">"].find((token) =>
+      JsonQuery._skip(state, token)
+    );
+    if (!operator) {
+      return left;
+    }
+    const right =
+      operator === "=~"
+        ? JsonQuery._parseRegExp(state)
+        : JsonQuery._parseOperand(state);
+    return { type: "compare", operator, left, right };
+  }
+
+  /**
+   * Parses an operand: a path relative to `@` or `$`, or a literal.
+   * @param {{text: string, pos: number}} state - The parser state.
+   * @returns {object} The operand.
+   * @private
+   * @static
+   */
+  static _parseOperand(state) {
+    if (JsonQuery._isQuote(state)) {
+      return { type: "literal", value: JsonQuery._parseString(state) };
+    }
+    const char = state.text[state.pos];
+    if (char === "@" || char === "$") {
+      state.pos++;
+      return {
+        type: "path",
+        isRoot: char === "$",
+        steps: JsonQuery._parseSteps(state),
+      };
+    }
+    const match = /^(-?\d+(\.\d+)?([eE][+-]?\d+)?|true|false|null)/.exec(
+      state.text.slice(state.pos)
+    );
+    if (!match) {
+      JsonQuery._fail(state, "Expected @, $ or a literal");
+    }
+    state.pos += match[0].length;
+    return { type: "literal", value: JSON.parse(match[0]) };
+  }
+
+  /**
+   * Parses the steps of a path in a filter: `.name`, `['name']` and `[0]`.
+   * @param {{text: string, pos: number}} state - The parser state.
+   * @returns {Array<string|number>} The steps.
+   * @private
+   * @static
+   */
+  static _parseSteps(state) {
+    const steps = [];
+    for (;;) {
+      if (state.text[state.pos] === ".") {
+        state.pos++;
+        steps.push(JsonQuery._parseName(state));
+      } else if (state.text[state.pos] === "[") {
+        state.pos++;
+        const step = JsonQuery._isQuote(state)
+          ? JsonQuery._parseString(state)
+          : JsonQuery._parseInteger(state);
+        if (step === null) {
+          JsonQuery._fail(state, "Expected an index or a quoted name");
+        }
+        steps.push(step);
+        JsonQuery._expect(state, "]");
+      } else {
+        return steps;
+      }
+    }
+  }
+
+  /**
+   * Parses a regular expression literal like `/text/i`.
+   * @param {{text: string, pos: number}} state - The parser state.
+   * @returns {{type: string, value: RegExp}} The literal.
+   * @private
+   * @static
+   */
+  static _parseRegExp(state) {
+    JsonQuery._skipSpaces(state);
+    const match = /^\/((?:\\.|[^/\\])*)\/([a-z]*)/.exec(
+      state.text.slice(state.pos)
+    );
+    if (!match) {
+      JsonQuery._fail(state, "Expected a regular expression like /text/i");
+    }
+    state.pos += match[0].length;
+    try {
+      return { type: "literal", value: new RegExp(match[1], match[2]) };
+    } catch (e) {
+      return JsonQuery._fail(state, `Invalid regular expression: ${e.message}`);
+    }
+  }
+}
+
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = JsonQuery;
+}
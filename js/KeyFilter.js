@@ -0,0 +1,75 @@
+/**
+ * @class KeyFilter
+ * @description Narrows a list of storage keys by a substring, glob or regular expression.
+ * Matching is case-insensitive and can include the raw values and the detected types.
+ */
+class KeyFilter {
+  /**
+   * @method globToRegExp
+   * @description Converts a glob pattern to an anchored regular expression.
+   * `*` matches any sequence of characters and `?` matches a single character.
+   * @param {string} glob - The glob pattern, e.g. 'app:*:prefs'.
+   * @param {boolean} [isCaseSensitive=false] - If true, the case of the letters must match.
+   * @returns {RegExp} The regular expression.
+   * @static
+   */
+  static globToRegExp(glob, isCaseSensitive = false) {
+    const source = glob
+      .replace(/[.+^${}()|[\]\\]/g, "\\$&")
+      .replace(/\*/g, ".*")
+      .replace(/\?/g, ".");
+    return new RegExp(`^${source}$`, isCaseSensitive ? "" : "i");
+  }
+
+  /**
+   * @method createMatcher
+   * @description Creates a function that tests a text against a query.
+   * @param {string} query - The query.
+   * @param {string} mode - How the query is interpreted ('substring', 'glob' or 'regex').
+   * @returns {function(string): boolean} The matcher.
+   * @throws {SyntaxError} If the query is an invalid regular expression.
+   * @static
+   */
+  static createMatcher(query, mode) {
+    if (mode === "glob") {
+      const regExp = KeyFilter.globToRegExp(query);
+      return (text) => regExp.test(text);
+    }
+    if (mode === "regex") {
+      const regExp = new RegExp(query, "i");
+      return (text) => regExp.test(text);
+    }
+    const lowerQuery = query.toLowerCase();
+    return (text) => text.toLowerCase().includes(lowerQuery);
+  }
+
+  /**
+   * @method filter
+   * @description Returns the keys matching the filter options. An empty query matches every key.
+   * @param {string[]} keys - The keys to filter.
+   * @param {Map<string, {raw: string, type: string}>} storage - The storage entries of the keys.
+   * @param {{query: string, mode: string, matchValues: boolean, matchTypes: boolean}} options - The filter options.
+   * @returns {string[]} The matching keys, in their original order.
+   * @throws {SyntaxError} If the query is an invalid regular expression.
+   * @static
+   */
+  static filter(keys, storage, { query, mode, matchValues, matchTypes }) {
+    if (!query) {
+      return keys;
+    }
+
+    const matches = KeyFilter.createMatcher(query, mode);
+    return keys.filter((key) => {
+      const entry = storage.get(key);
+      return (
+        matches(key) ||
+        (matchValues && entry && matches(entry.raw)) ||
+        (matchTypes && entry && matches(entry.type))
+      );
+    });
+  }
+}
+
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = KeyFilter;
+}
@@ -0,0 +1,84 @@
+/**
+ * @class KeyRange
+ * @description Turns the key range inputs of the IndexedDB view into a range description that the page
+ * turns into an `IDBKeyRange`. Keys are typed as JSON (e.g. `42`, `"42"` or `[1, "a"]`); text that is not
+ * valid JSON is taken as a string.
+ */
+class KeyRange {
+  /**
+   * @method parseKey
+   * @description Parses a key typed by the user.
+   * @param {string} text - The text of the input.
+   * @returns {*} The key, or undefined for an empty input.
+   * @static
+   */
+  static parseKey(text) {
+    const trimmed = text.trim();
+    if (!trimmed) {
+      return undefined;
+    }
+    try {
+      const key = JSON.parse(trimmed);
+      return KeyRange.isValidKey(key) ? key : trimmed;
+    } catch (e) {
+      return trimmed;
+    }
+  }
+
+  /**
+   * @method isValidKey
+   * @description Tells whether a JSON value can be an IndexedDB key: a number, a string or an array of keys.
+   * @param {*} key - The value.
+   * @returns {boolean} True for valid keys.
+   * @static
+   */
+  static isValidKey(key) {
+    if (typeof key === "number") return !Number.isNaN(key);
+    if (typeof key === "string") return true;
+    return Array.isArray(key) && key.every((item) => KeyRange.isValidKey(item));
+  }
+
+  /**
+   * @method fromInputs
+   * @description Builds a range description from the lower and upper bound inputs.
+   * Equal closed bounds make a range of a single key.
+   * @param {{lower: string, upper: string, lowerOpen: boolean, upperOpen: boolean}} inputs - The input values.
+   * @returns {{only: *}|{lower: *, upper: *, lowerOpen: boolean, upperOpen: boolean}|null} The range description,
+   * where `lower` or `upper` may be missing, or null if both inputs are empty.
+   * @static
+   */
+  static fromInputs({ lower, upper, lowerOpen = false, upperOpen = false }) {
+    const lowerKey = KeyRange.parseKey(lower);
+    const upperKey = KeyRange.parseKey(upper);
+    if (lowerKey === undefined && upperKey === undefined) {
+      return null;
+    }
+    if (
+      !lowerOpen &&
+      !upperOpen &&
+      JSON.stringify(lowerKey) === JSON.stringify(upperKey)
+    ) {
+      return { only: lowerKey };
+    }
+
+    const range = { lowerOpen, upperOpen };
+    if (lowerKey !== undefined) range.lower = lowerKey;
+    if (upperKey !== undefined) range.upper = upperKey;
+    return range;
+  }
+
+  /**
+   * @method formatKey
+   * @description Formats a key for display: strings as they are, other keys as JSON.
+   * @param {*} key - The key.
+   * @returns {string} The formatted key.
+   * @static
+   */
+  static formatKey(key) {
+    return typeof key === "string" ? key : JSON.stringify(key);
+  }
+}
+
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = KeyRange;
+}
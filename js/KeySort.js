@@ -0,0 +1,48 @@
+/**
+ * @class KeySort
+ * @description Orders storage keys for the key list: by name (natural sort), by size, by type
+ * or by the time of the last change.
+ */
+class KeySort {
+  /**
+   * @property {function(string, string): number} compareNames - Compares names naturally,
+   * so 'item2' comes before 'item10'. Case differences are ignored.
+   * @static
+   */
+  static compareNames = new Intl.Collator(undefined, {
+    numeric: true,
+    sensitivity: "base",
+  }).compare;
+
+  /**
+   * @method sort
+   * @description Sorts keys without changing the given list. Keys that compare equal are ordered by name.
+   * @param {string[]} keys - The keys in storage order.
+   * @param {string} mode - The sort mode: 'none' (storage order), 'name', 'size' (largest first),
+   * 'type' or 'changed' (most recently changed first).
+   * @param {{getSize: function(string): number, getType: function(string): string, getChangeTime: function(string): number}} accessors
+   * - Return the size, the detected type and the last change time of a key.
+   * @returns {string[]} The sorted keys.
+   * @static
+   */
+  static sort(keys, mode, { getSize, getType, getChangeTime }) {
+    const comparators = {
+      name: () => 0,
+      size: (a, b) => getSize(b) - getSize(a),
+      type: (a, b) => KeySort.compareNames(getType(a), getType(b)),
+      changed: (a, b) => getChangeTime(b) - getChangeTime(a),
+    };
+    const compare = comparators[mode];
+    if (!compare) {
+      return keys.slice();
+    }
+
+    return keys
+      .slice()
+      .sort((a, b) => compare(a, b) || KeySort.compareNames(a, b));
+  }
+}
+
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = KeySort;
+}
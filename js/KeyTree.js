@@ -0,0 +1,158 @@
+/**
+ * @class KeyTree
+ * @description Groups storage keys into a tree of namespaces by splitting them on separators,
+ * e.g. `app:user:prefs` and `app:user:token` end up in the group `app:user:`.
+ */
+class KeyTree {
+  /**
+   * @method parseSeparators
+   * @description Parses the separators setting, a whitespace-separated list like ': / .'.
+   * @param {string} setting - The setting value.
+   * @returns {string[]} The separators.
+   * @static
+   */
+  static parseSeparators(setting) {
+    return String(setting).split(/\s+/).filter(Boolean);
+  }
+
+  /**
+   * @method splitKey
+   * @description Splits a key into namespace segments, keeping the separator that follows each segment.
+   * @param {string} key - The key to split.
+   * @param {string[]} separators - The separators.
+   * @returns {Array<{name: string, separator: string}>} The segments; the last one has an empty separator.
+   * @static
+   */
+  static splitKey(key, separators) {
+    if (!separators.length) {
+      return [{ name: key, separator: "" }];
+    }
+
+    // Longer separators first, so '::' wins over ':'
+    const pattern = separators
+      .slice()
+      .sort((a, b) => b.length - a.length)
+      .map((separator) => separator.replace(/[.*+?^${}()|[\]\\]/g, "\\$&"))
+      .join("|");
+    const parts = key.split(new RegExp(`(${pattern})`));
+    const segments = [];
+    for (let i = 0; i < parts.length; i += 2) {
+      segments.push({ name: parts[i], separator: parts[i + 1] || "" });
+    }
+    return segments;
+  }
+
+  /**
+   * @method build
+   * @description Builds the namespace tree of a list of keys. A group is only created when at least
+   * two keys share its prefix; a key without siblings stays a leaf of the closest group.
+   * Groups come before keys, both in the order of the given key list.
+   * @param {string[]} keys - The keys.
+   * @param {string[]} separators - The separators.
+   * @param {function(string): number} [getSize] - Returns the size of a key in bytes.
+   * @returns {{name: string, prefix: string, groups: Array<object>, keys: Array<{key: string, name: string}>, count: number, size: number}}
+   * The root group. Every group has the same shape.
+   * @static
+   */
+  static build(keys, separators, getSize = () => 0) {
+    const createGroup = (name, prefix) => ({
+      name,
+      prefix,
+      groups: [],
+      keys: [],
+      count: 0,
+      size: 0,
+    });
+    const root = createGroup("", "");
+    // Groups by prefix; groups holding a single key are folded into their parent afterwards
+    const items = new Map();
+
+    keys.forEach((key) => {
+      const segments = KeyTree.splitKey(key, separators);
+      const size = getSize(key);
+      let group = root;
+      let prefix = "";
+      group.count++;
+      group.size += size;
+
+      segments.slice(0, -1).forEach(({ name, separator }) => {
+        prefix += name + separator;
+        let child = items.get(prefix);
+        if (!child) {
+          child = createGroup(name + separator, prefix);
+          items.set(prefix, child);
+          group.groups.push(child);
+        }
+        child.count++;
+        child.size += size;
+        group = child;
+      });
+      group.keys.push({ key, name: key.slice(prefix.length) });
+    });
+
+    const order = new Map(keys.map((key, index) => [key, index]));
+    return KeyTree._fold(root, order);
+  }
+
+  /**
+   * @method collectKeys
+   * @description Lists every key of a group and its subgroups.
+   * @param {{groups: Array<object>, keys: Array<{key: string}>}} group - The group.
+   * @returns {string[]} The keys.
+   * @static
+   */
+  static collectKeys(group) {
+    return group.keys
+      .map(({ key }) => key)
+      .concat(...group.groups.map((child) => KeyTree.collectKeys(child)));
+  }
+
+  /**
+   * @method findGroup
+   * @description Finds a group by its prefix.
+   * @param {object} root - The root group returned by `build`.
+   * @param {string} prefix - The prefix of the group.
+   * @returns {object|null} The group, or null if there is none.
+   * @static
+   */
+  static findGroup(root, prefix) {
+    if (root.prefix === prefix) {
+      return root;
+    }
+    for (const child of root.groups) {
+      const group = KeyTree.findGroup(child, prefix);
+      if (group) {
+        return group;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Replaces the subgroups holding a single key with that key.
+   * @param {object} group - The group to fold.
+   * @param {Map<string, number>} order - The index of every key in the original key list.
+   * @returns {object} The same group.
+   * @private
+   * @static
+   */
+  static _fold(group, order) {
+    const groups = [];
+    const keys = group.keys.slice();
+    group.groups.forEach((child) => {
+      if (child.count === 1) {
+        const [key] = KeyTree.collectKeys(child);
+        keys.push({ key, name: key.slice(group.prefix.length) });
+      } else {
+        groups.push(KeyTree._fold(child, order));
+      }
+    });
+    group.groups = groups;
+    group.keys = keys.sort((a, b) => order.get(a.key) - order.get(b.key));
+    return group;
+  }
+}
+
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = KeyTree;
+}
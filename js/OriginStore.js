@@ -0,0 +1,83 @@
+/**
+ * @class OriginStore
+ * @description Persists JSON data of the extension per inspected origin. Data is kept in a Web Storage
+ * of the extension itself (its `localStorage` by default), under keys like `<name>:<origin>`.
+ */
+class OriginStore {
+  /**
+   * @constructor
+   * @param {string} name - The namespace of the data, e.g. 'snapshots'.
+   * @param {Storage} [storage=localStorage] - The extension storage to keep the data in.
+   */
+  constructor(name, storage = localStorage) {
+    this.name = name;
+    this.storage = storage;
+  }
+
+  /**
+   * @method get
+   * @description Reads the data stored for an origin.
+   * @param {string} origin - The inspected origin, e.g. 'https://example.com'.
+   * @param {*} [fallback=null] - The value returned when nothing (or something unreadable) is stored.
+   * @returns {*} The stored data or the fallback.
+   */
+  get(origin, fallback = null) {
+    try {
+      const stored = this.storage.getItem(this._key(origin));
+      return stored === null ? fallback : JSON.parse(stored);
+    } catch (e) {
+      console.error(`Cannot read ${this.name} for ${origin}: `, e);
+      return fallback;
+    }
+  }
+
+  /**
+   * @method set
+   * @description Stores data for an origin. Throws if the extension storage quota is exceeded.
+   * @param {string} origin - The inspected origin.
+   * @param {*} data - JSON-serializable data.
+   */
+  set(origin, data) {
+    this.storage.setItem(this._key(origin), JSON.stringify(data));
+  }
+
+  /**
+   * @method remove
+   * @description Removes the data stored for an origin.
+   * @param {string} origin - The inspected origin.
+   */
+  remove(origin) {
+    this.storage.removeItem(this._key(origin));
+  }
+
+  /**
+   * @method origins
+   * @description Lists the origins that have data in this namespace.
+   * @returns {string[]} The origins.
+   */
+  origins() {
+    const prefix = `${this.name}:`;
+    const origins = [];
+    for (let i = 0; i < this.storage.length; i++) {
+      const key = this.storage.key(i);
+      if (key.startsWith(prefix)) {
+        origins.push(key.slice(prefix.length));
+      }
+    }
+    return origins;
+  }
+
+  /**
+   * Builds the extension storage key for an origin.
+   * @param {string} origin - The inspected origin.
+   * @returns {string} The storage key.
+   * @private
+   */
+  _key(origin) {
+    return `${this.name}:${origin}`;
+  }
+}
+
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = OriginStore;
+}
@@ -0,0 +1,87 @@
+/**
+ * @class ProtectedKeys
+ * @description Tells which keys are protected from "Clear storage", bulk deletes and replacing imports.
+ * A protected entry is an exact key name, or a glob pattern when it contains `*` or `?`. Patterns use the
+ * glob syntax of `KeyFilter`, but are case-sensitive, as storage keys are.
+ */
+class ProtectedKeys {
+  /**
+   * @method isPattern
+   * @description Tells whether a protected entry is a glob pattern rather than a key name.
+   * @param {string} entry - The protected entry.
+   * @returns {boolean} True if the entry contains `*` or `?`.
+   * @static
+   */
+  static isPattern(entry) {
+    return /[*?]/.test(entry);
+  }
+
+  /**
+   * @method findEntry
+   * @description Finds the protected entry covering a key, preferring an exact key name over patterns.
+   * @param {string} key - The key.
+   * @param {string[]} entries - The protected entries of the origin.
+   * @returns {string|null} The matching entry, or null if the key is not protected.
+   * @static
+   */
+  static findEntry(key, entries) {
+    if (entries.includes(key)) {
+      return key;
+    }
+    return (
+      entries.find(
+        (entry) =>
+          ProtectedKeys.isPattern(entry) &&
+          KeyFilter.globToRegExp(entry, true).test(key)
+      ) || null
+    );
+  }
+
+  /**
+   * @method parseList
+   * @description Parses the protected keys of all origins as edited on the options page: one
+   * `<origin> <key or pattern>` pair per line, separated by a single space. Keys are kept as written,
+   * with their leading and trailing spaces, as storage keys may contain them; empty lines are ignored.
+   * @param {string} text - The list.
+   * @returns {Object<string, string[]>} The protected entries by origin, without duplicates.
+   * @throws {SyntaxError} If a line has no key after the origin.
+   * @static
+   */
+  static parseList(text) {
+    const byOrigin = {};
+    text.split("\n").forEach((line, index) => {
+      if (!line) return;
+
+      const match = /^(\S+) (.+)$/.exec(line);
+      if (!match) {
+        throw new SyntaxError(`Line ${index + 1} has no key after the origin`);
+      }
+      const [, origin, entry] = match;
+      byOrigin[origin] = byOrigin[origin] || [];
+      if (!byOrigin[origin].includes(entry)) {
+        byOrigin[origin].push(entry);
+      }
+    });
+    return byOrigin;
+  }
+
+  /**
+   * @method formatList
+   * @description Formats the protected keys of all origins for the options page, see `parseList`.
+   * @param {Object<string, string[]>} byOrigin - The protected entries by origin.
+   * @returns {string} The list, one line per entry.
+   * @static
+   */
+  static formatList(byOrigin) {
+    return Object.keys(byOrigin)
+      .sort()
+      .flatMap((origin) =>
+        byOrigin[origin].map((entry) => `${origin} ${entry}`)
+      )
+      .join("\n");
+  }
+}
+
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = ProtectedKeys;
+}
@@ -0,0 +1,129 @@
+/**
+ * @class RecordTable
+ * @description Lays out an array of objects (records) as a table: one column per property found
+ * in any record, and rows that can be filtered and sorted by a column.
+ */
+class RecordTable {
+  /**
+   * @method isRecordArray
+   * @description Tells whether a value is a non-empty array whose elements are all plain objects.
+   * @param {*} value - The value.
+   * @returns {boolean} True if the value can be shown as a table.
+   * @static
+   */
+  static isRecordArray(value) {
+    return (
+      Array.isArray(value) &&
+      value.length > 0 &&
+      value.every(
+        (item) =>
+          item !== null && typeof item === "object" && !Array.isArray(item)
+      )
+    );
+  }
+
+  /**
+   * @method getColumns
+   * @description Lists the properties of the records, in the order they are first found.
+   * @param {object[]} records - The records.
+   * @returns {string[]} The column names.
+   * @static
+   */
+  static getColumns(records) {
+    const columns = new Set();
+    records.forEach((record) =>
+      Object.keys(record).forEach((name) => columns.add(name))
+    );
+    return Array.from(columns);
+  }
+
+  /**
+   * @method getRows
+   * @description Filters and sorts the records. Missing values are sorted last in both directions.
+   * @param {object[]} records - The records.
+   * @param {object} [options] - The table options.
+   * @param {string[]} [options.columns] - The columns the filter looks at; all columns by default.
+   * @param {string} [options.filter=""] - Case-insensitive text a shown cell of the row must contain.
+   * @param {string} [options.sortColumn=""] - The column to sort by; rows keep the array order without one.
+   * @param {number} [options.sortDirection=1] - 1 for ascending, -1 for descending order.
+   * @returns {number[]} The indexes of the matching records, in display order.
+   * @static
+   */
+  static getRows(
+    records,
+    {
+      columns = RecordTable.getColumns(records),
+      filter = "",
+      sortColumn = "",
+      sortDirection = 1,
+    } = {}
+  ) {
+    const query = filter.trim().toLowerCase();
+    const rows = records
+      .map((record, index) => index)
+      .filter(
+        (index) =>
+          !query ||
+          columns.some((column) =>
+            RecordTable.formatCell(records[index][column])
+              .toLowerCase()
+              .includes(query)
+          )
+      );
+    if (!sortColumn) {
+      return rows;
+    }
+
+    return rows.sort((a, b) => {
+      const valueA = records[a][sortColumn];
+      const valueB = records[b][sortColumn];
+      if (valueA === undefined || valueB === undefined) {
+        return (valueA === undefined) - (valueB === undefined);
+      }
+      return RecordTable._compare(valueA, valueB) * sortDirection;
+    });
+  }
+
+  /**
+   * @method formatCell
+   * @description Formats a property value for a table cell. Objects and arrays are shown as JSON.
+   * @param {*} value - The property value.
+   * @returns {string} The cell text, empty for a missing property.
+   * @static
+   */
+  static formatCell(value) {
+    if (value === undefined) {
+      return "";
+    }
+    if (value !== null && typeof value === "object") {
+      return JSON.stringify(value);
+    }
+    return String(value);
+  }
+
+  /**
+   * Compares two cell values: numbers and booleans numerically, anything else as text with natural ordering
+   * of the digits in it.
+   * @param {*} a - The first value.
+   * @param {*} b - The second value.
+   * @returns {number} A negative number if `a` comes first, a positive one if `b` does, 0 otherwise.
+   * @private
+   * @static
+   */
+  static _compare(a, b) {
+    const isNumeric = (value) =>
+      typeof value === "number" || typeof value === "boolean";
+    if (isNumeric(a) && isNumeric(b)) {
+      return Number(a) - Number(b);
+    }
+    return RecordTable.formatCell(a).localeCompare(
+      RecordTable.formatCell(b),
+      undefined,
+      { numeric: true }
+    );
+  }
+}
+
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = RecordTable;
+}
@@ -2,18 +2,115 @@
  * @class StorageDriver
  * @description A driver for interacting with the inspected window's storage.
  * It uses `chrome.devtools.inspectedWindow.eval` to execute scripts on the inspected page.
+ * Besides localStorage and sessionStorage, it handles the cookies of the page through the same interface.
  */
 class StorageDriver {
   /**
-   * Awaits the evaluation of a script in the inspected window.
+   * @property {string} frameURL - The URL of the frame whose storage is accessed, or an empty string for the top frame.
+   */
+  frameURL = "";
+
+  /**
+   * @property {function(): object} cookieStorage - Creates an object with the interface of `Storage` for the cookies
+   * visible to the page (all but HttpOnly ones). It is serialized and evaluated in the inspected page, so it must not
+   * use anything from the panel. Cookie attributes cannot be read back, so `removeItem` expires the cookie on every
+   * path and domain it could have been set on, and writes are checked by reading the cookie again.
+   * @static
+   */
+  static cookieStorage = function () {
+    const read = () => {
+      const cookies = {};
+      document.cookie.split(";").forEach((pair) => {
+        if (!pair.trim()) return;
+        const index = pair.indexOf("=");
+        const name = index < 0 ? "" : pair.slice(0, index).trim();
+        if (!(name in cookies)) {
+          cookies[name] = pair.slice(index + 1).trim();
+        }
+      });
+      return cookies;
+    };
+    const expire = (name) => {
+      const segments = location.pathname.split("/").slice(1);
+      const paths = segments.map(
+        (segment, index) => "/" + segments.slice(0, index + 1).join("/")
+      );
+      const labels = location.hostname.split(".");
+      const domains = labels.map((label, index) =>
+        labels.slice(index).join(".")
+      );
+      ["/"].concat(paths).forEach((path) => {
+        ["", ...domains].forEach((domain) => {
+          document.cookie =
+            name +
+            "=; expires=Thu, 01 Jan 1970 00:00:00 GMT; path=" +
+            path +
+            (domain ? "; domain=" + domain : "");
+        });
+      });
+    };
+
+    return {
+      get length() {
+        return Object.keys(read()).length;
+      },
+      key(index) {
+        return Object.keys(read())[index] ?? null;
+      },
+      getItem(name) {
+        const cookies = read();
+        return name in cookies ? cookies[name] : null;
+      },
+      setItem(name, value, attributes = {}) {
+        const {
+          path = "/",
+          domain = "",
+          expires = null,
+          sameSite = "",
+          secure = false,
+        } = attributes;
+        let cookie = name + "=" + value + "; path=" + path;
+        if (domain) cookie += "; domain=" + domain;
+        if (expires) cookie += "; expires=" + new Date(expires).toUTCString();
+        if (sameSite) cookie += "; SameSite=" + sameSite;
+        if (secure || sameSite === "None") cookie += "; Secure";
+        document.cookie = cookie;
+        const isExpired = expires && expires <= Date.now();
+        if (!isExpired && read()[name] !== String(value)) {
+          throw new Error(
+            "The cookie " +
+              name +
+              " cannot be read back, its name, value or attributes are not allowed or do not match this page"
+          );
+        }
+      },
+      removeItem(name) {
+        expire(name);
+        if (name in read()) {
+          throw new Error("The cookie " + name + " could not be removed");
+        }
+      },
+      clear() {
+        Object.keys(read()).forEach((name) => this.removeItem(name));
+      },
+      toJSON() {
+        return read();
+      },
+    };
+  };
+
+  /**
+   * Awaits the evaluation of a script in the inspected window, in the chosen frame.
    * @param {string} script - The script to execute.
    * @returns {Promise<any>} - A promise that resolves with the script's result.
    * @private
    */
   _eval(script) {
+    const options = this.frameURL ? { frameURL: this.frameURL } : {};
     return new Promise((resolve, reject) => {
       chrome.devtools.inspectedWindow.eval(
         script,
+        options,
         (result, isException) => {
           if (isException) {
             console.error("Evaluation Error:", isException);
@@ -25,55 +122,613 @@ class StorageDriver {
     });
   }
 
+  /**
+   * @property {function(): object} indexedDBReader - Creates a read-only reader for the IndexedDB databases of the page.
+   * Like `cookieStorage`, it is serialized and evaluated in the inspected page. Its methods return promises
+   * of JSON-safe results: dates, binary data, maps and sets found in records are converted.
+   * @static
+   */
+  static indexedDBReader = function () {
+    const request = (req) =>
+      new Promise((resolve, reject) => {
+        req.onsuccess = () => resolve(req.result);
+        req.onerror = () => reject(req.error);
+      });
+    const toJSON = (value, seen = new Set()) => {
+      if (typeof value === "bigint") return String(value);
+      if (typeof value === "number" && !Number.isFinite(value)) {
+        return String(value);
+      }
+      if (value === undefined) return null;
+      if (value === null || typeof value !== "object") return value;
+      if (seen.has(value)) return "[Circular]";
+
+      seen.add(value);
+      let result;
+      if (value instanceof Date) {
+        result = Number.isNaN(value.getTime())
+          ? "Invalid Date"
+          : value.toISOString();
+      } else if (value instanceof Blob) {
+        result = `[${value.constructor.name} ${value.type || "?"}, ${
+          value.size
+        } bytes]`;
+      } else if (value instanceof ArrayBuffer || ArrayBuffer.isView(value)) {
+        result = `[${value.constructor.name}, ${value.byteLength} bytes]`;
+      } else if (value instanceof Map) {
+        result = Array.from(value, ([key, item]) => [
+          toJSON(key, seen),
+          toJSON(item, seen),
+        ]);
+      } else if (value instanceof Set || Array.isArray(value)) {
+        result = Array.from(value, (item) => toJSON(item, seen));
+      } else {
+        result = {};
+        Object.keys(value).forEach(
+          (key) => (result[key] = toJSON(value[key], seen))
+        );
+      }
+      seen.delete(value);
+      return result;
+    };
+    const open = async (name) => {
+      const databases = await indexedDB.databases();
+      if (!databases.some((database) => database.name === name)) {
+        throw new Error(`The database "${name}" does not exist`);
+      }
+      const openRequest = indexedDB.open(name);
+      // The database may have been deleted meanwhile, it must not be created again
+      openRequest.onupgradeneeded = () => openRequest.transaction.abort();
+      const db = await request(openRequest);
+      // Do not block version upgrades of the page
+      db.onversionchange = () => db.close();
+      return db;
+    };
+    const toKeyRange = (range) => {
+      if (!range) return null;
+      if ("only" in range) return IDBKeyRange.only(range.only);
+      if ("lower" in range && "upper" in range) {
+        return IDBKeyRange.bound(
+          range.lower,
+          range.upper,
+          range.lowerOpen,
+          range.upperOpen
+        );
+      }
+      return "lower" in range
+        ? IDBKeyRange.lowerBound(range.lower, range.lowerOpen)
+        : IDBKeyRange.upperBound(range.upper, range.upperOpen);
+    };
+
+    return {
+      async databases() {
+        const databases = await indexedDB.databases();
+        return databases.map(({ name, version }) => ({ name, version }));
+      },
+      async stores(name) {
+        const db = await open(name);
+        try {
+          const storeNames = Array.from(db.objectStoreNames);
+          if (!storeNames.length) return [];
+
+          const transaction = db.transaction(storeNames, "readonly");
+          return await Promise.all(
+            storeNames.map(async (storeName) => {
+              const store = transaction.objectStore(storeName);
+              const indexes = Array.from(store.indexNames, (indexName) => {
+                const index = store.index(indexName);
+                return {
+                  name: indexName,
+                  keyPath: index.keyPath,
+                  unique: index.unique,
+                  multiEntry: index.multiEntry,
+                };
+              });
+              return {
+                name: storeName,
+                keyPath: store.keyPath,
+                autoIncrement: store.autoIncrement,
+                indexes,
+                count: await request(store.count()),
+              };
+            })
+          );
+        } finally {
+          db.close();
+        }
+      },
+      async records(name, storeName, query) {
+        const {
+          index = "",
+          range = null,
+          offset = 0,
+          limit = 25,
+          direction = "next",
+        } = query;
+        const db = await open(name);
+        try {
+          const store = db
+            .transaction(storeName, "readonly")
+            .objectStore(storeName);
+          const source = index ? store.index(index) : store;
+          const keyRange = toKeyRange(range);
+          const records = [];
+          // Both requests are made at once, so the transaction stays active
+          const total = request(source.count(keyRange));
+          const read = new Promise((resolve, reject) => {
+            const cursorRequest = source.openCursor(keyRange, direction);
+            let isAdvanced = offset === 0;
+            cursorRequest.onerror = () => reject(cursorRequest.error);
+            cursorRequest.onsuccess = () => {
+              const cursor = cursorRequest.result;
+              if (!cursor || records.length >= limit) return resolve();
+              if (!isAdvanced) {
+                isAdvanced = true;
+                return cursor.advance(offset);
+              }
+              records.push({
+                key: toJSON(cursor.key),
+                primaryKey: toJSON(cursor.primaryKey),
+                value: toJSON(cursor.value),
+              });
+              cursor.continue();
+            };
+          });
+          const [count] = await Promise.all([total, read]);
+          return { total: count, records };
+        } finally {
+          db.close();
+        }
+      },
+    };
+  };
+
+  /**
+   * Evaluates an expression returning a promise in the inspected window and waits for its result.
+   * `inspectedWindow.eval` cannot await promises, so the page keeps the outcome in a global object
+   * under a unique id, which is polled until it is settled.
+   * @param {string} expression - The expression; its result must be serializable as JSON.
+   * @param {number} [timeout=ASYNC_EVAL_TIMEOUT] - The time in milliseconds after which waiting is given up.
+   * @returns {Promise<any>} A promise that resolves with the result of the expression.
+   * @private
+   */
+  async _evalAsync(expression, timeout = ASYNC_EVAL_TIMEOUT) {
+    const id = JSON.stringify(
+      `${Date.now()}-${Math.random().toString(36).slice(2)}`
+    );
+    const results = "window.__storageExplorerResults";
+    await this._eval(`(function() {
+      const results = ${results} = ${results} || {};
+      results[${id}] = null;
+      Promise.resolve()
+        .then(function() { return ${expression}; })
+        .then(
+          function(value) { results[${id}] = { value: JSON.stringify(value) }; },
+          function(error) { results[${id}] = { error: String((error && error.message) || error) }; }
+        );
+    })();`);
+
+    const startTime = performance.now();
+    for (;;) {
+      await new Promise((resolve) =>
+        setTimeout(resolve, ASYNC_EVAL_POLL_INTERVAL)
+      );
+      // Reading a settled result removes it from the page
+      const result = await this._eval(`(function() {
+        const results = ${results} || {};
+        if (!(${id} in results)) return { isLost: true };
+        const result = results[${id}];
+        if (result) delete results[${id}];
+        return result;
+      })();`);
+
+      if (result && result.isLost) {
+        throw new Error("The page was reloaded before the result was ready");
+      }
+      if (result && "error" in result) {
+        throw new Error(result.error);
+      }
+      if (result) {
+        return result.value === undefined ? undefined : JSON.parse(result.value);
+      }
+      if (performance.now() - startTime > timeout) {
+        await this._eval(`delete (${results} || {})[${id}];`);
+        throw new Error(`No result after ${timeout / 1000} seconds`);
+      }
+    }
+  }
+
+  /**
+   * @method getIndexedDBDatabases
+   * @description Lists the IndexedDB databases of the inspected origin.
+   * @returns {Promise<Array<{name: string, version: number}>>} A promise that resolves to the databases.
+   * @async
+   */
+  async getIndexedDBDatabases() {
+    return this._evalAsync(
+      `(${String(StorageDriver.indexedDBReader)})().databases()`
+    );
+  }
+
+  /**
+   * @method getIndexedDBStores
+   * @description Lists the object stores of an IndexedDB database with their indexes and record counts.
+   * @param {string} databaseName - The name of the database.
+   * @returns {Promise<Array<{name: string, keyPath: (string|string[]|null), autoIncrement: boolean, count: number,
+   * indexes: Array<{name: string, keyPath: (string|string[]), unique: boolean, multiEntry: boolean}>}>}
+   * A promise that resolves to the object stores.
+   * @async
+   */
+  async getIndexedDBStores(databaseName) {
+    return this._evalAsync(
+      `(${String(StorageDriver.indexedDBReader)})().stores(${JSON.stringify(
+        databaseName
+      )})`
+    );
+  }
+
+  /**
+   * @method getIndexedDBRecords
+   * @description Reads a page of records from an object store or one of its indexes.
+   * @param {string} databaseName - The name of the database.
+   * @param {string} storeName - The name of the object store.
+   * @param {object} [query] - The query.
+   * @param {string} [query.index] - The name of the index to read through; the object store itself by default.
+   * @param {{only: *}|{lower: *, upper: *, lowerOpen: boolean, upperOpen: boolean}|null} [query.range] - The key range;
+   * `lower` or `upper` may be missing.
+   * @param {number} [query.offset=0] - The number of records to skip.
+   * @param {number} [query.limit=25] - The maximum number of records.
+   * @param {string} [query.direction='next'] - The cursor direction ('next' or 'prev').
+   * @returns {Promise<{total: number, records: Array<{key: *, primaryKey: *, value: *}>}>} A promise that resolves
+   * to the records and the number of records in the range.
+   * @async
+   */
+  async getIndexedDBRecords(databaseName, storeName, query = {}) {
+    const args = [databaseName, storeName, query]
+      .map((arg) => JSON.stringify(arg))
+      .join(", ");
+    return this._evalAsync(
+      `(${String(StorageDriver.indexedDBReader)})().records(${args})`
+    );
+  }
+
+  /**
+   * Returns the expression that evaluates to a storage in the inspected page.
+   * @param {string} storageName - The name of the storage ('localStorage', 'sessionStorage' or 'cookies').
+   * @returns {string} The expression.
+   * @private
+   */
+  _getStorageScript(storageName) {
+    return storageName === "cookies"
+      ? `(${String(StorageDriver.cookieStorage)})()`
+      : storageName;
+  }
+
+  /**
+   * @method getFrames
+   * @description Lists the documents of the inspected page: the top frame and every iframe.
+   * @returns {Promise<Array<{url: string, origin: string, isTop: boolean}>>} A promise that resolves to the frames,
+   * the top frame first. The URL of the top frame is empty, as it needs no `frameURL`.
+   * @async
+   */
+  async getFrames() {
+    const [topURL, resources] = await Promise.all([
+      new Promise((resolve) =>
+        chrome.devtools.inspectedWindow.eval("location.href;", resolve)
+      ),
+      new Promise((resolve) =>
+        chrome.devtools.inspectedWindow.getResources(resolve)
+      ),
+    ]);
+    const urls = Array.from(
+      new Set(
+        resources
+          .filter(
+            ({ type, url }) =>
+              type === "document" && /^(https?|file):/.test(url)
+          )
+          .map(({ url }) => url)
+      )
+    );
+    // The resource of the top document may have another URL than its location (e.g. a changed hash),
+    // so it is recognised as the document without a parent frame
+    const isTopFlags = await Promise.all(
+      urls.map((url) => this._isTopFrame(url))
+    );
+
+    const toFrame = (url, isTop) => ({
+      url: isTop ? "" : url,
+      origin: new URL(url).origin,
+      isTop,
+    });
+    return [toFrame(topURL, true)].concat(
+      urls
+        .filter((url, index) => !isTopFlags[index])
+        .map((url) => toFrame(url, false))
+    );
+  }
+
+  /**
+   * Tells whether a document of the inspected page is the top frame, i.e. has no parent frame.
+   * @param {string} url - The URL of the document resource.
+   * @returns {Promise<boolean>} A promise that resolves to true for the top frame, and to false for iframes
+   * and documents that cannot be evaluated.
+   * @private
+   */
+  _isTopFrame(url) {
+    return new Promise((resolve) =>
+      chrome.devtools.inspectedWindow.eval(
+        "window.parent === window;",
+        { frameURL: url },
+        (result, isException) => resolve(!isException && result === true)
+      )
+    );
+  }
+
+  /**
+   * @method setFrame
+   * @description Routes all further calls to the storage of a frame.
+   * @param {string} frameURL - The URL of the frame, or an empty string for the top frame.
+   */
+  setFrame(frameURL) {
+    this.frameURL = frameURL;
+  }
+
   /**
    * @method getStoragesInfo
-   * @description Retrieves the number of items in both localStorage and sessionStorage.
-   * @returns {Promise<{ls: number, ss: number}>} A promise that resolves to an object with item counts.
+   * @description Retrieves the number of items in localStorage, sessionStorage and cookies, and their sizes
+   * in bytes (UTF-16 code units of the keys and values).
+   * @returns {Promise<{ls: number, ss: number, cs: number, lsSize: number, ssSize: number, csSize: number}>}
+   * A promise that resolves to an object with item counts and sizes.
    * @async
    */
   async getStoragesInfo() {
-    const script =
-      "(function() { return JSON.stringify({ls: localStorage.length, ss: sessionStorage.length}); })();";
+    const script = `(function() {
+      // Every access to the cookie storage parses document.cookie, so it is read once
+      const cookies = ${this._getStorageScript("cookies")}.toJSON();
+      function getSize(storage) {
+        let size = 0;
+        for (let i = 0; i < storage.length; i++) {
+          const key = storage.key(i);
+          size += (key.length + storage.getItem(key).length) * 2;
+        }
+        return size;
+      }
+      return JSON.stringify({
+        ls: localStorage.length,
+        ss: sessionStorage.length,
+        cs: Object.keys(cookies).length,
+        lsSize: getSize(localStorage),
+        ssSize: getSize(sessionStorage),
+        csSize: Object.keys(cookies).reduce(function(size, key) {
+          return size + (key.length + cookies[key].length) * 2;
+        }, 0),
+      });
+    })();`;
     const result = await this._eval(script);
     return JSON.parse(result);
   }
 
+  /**
+   * @method getOrigin
+   * @description Retrieves the origin of the inspected page.
+   * @returns {Promise<string>} A promise that resolves to the origin, e.g. 'https://example.com'.
+   * @async
+   */
+  async getOrigin() {
+    return this._eval("location.origin;");
+  }
+
   /**
    * @method getStorageByName
    * @description Retrieves all key-value pairs from the specified storage type.
-   * @param {string} name - The name of the storage ('localStorage' or 'sessionStorage').
+   * @param {string} name - The name of the storage ('localStorage', 'sessionStorage' or 'cookies').
    * @returns {Promise<Object<string, string>>} A promise that resolves to the storage object.
    * @async
    */
   async getStorageByName(name) {
-    const script = `(function() { return JSON.stringify(${name}); })();`;
+    const script = `(function() { return JSON.stringify(${this._getStorageScript(
+      name
+    )}); })();`;
     const result = await this._eval(script);
     return JSON.parse(result);
   }
 
+  /**
+   * @method getCookieAttributes
+   * @description Reads the attributes of the cookies through the Cookie Store API, as `document.cookie` only gives
+   * names and values. The API is missing in insecure contexts and in browsers other than Chromium.
+   * @returns {Promise<Object<string, {path: string, domain: string, expires: (number|null), sameSite: string, secure: boolean}>|null>}
+   * A promise that resolves to the attributes by cookie name, in the format of `setItem`, or null if they cannot
+   * be read. Of cookies sharing a name, the one `document.cookie` lists first is taken.
+   * @async
+   */
+  async getCookieAttributes() {
+    return this._evalAsync(`(function() {
+      if (typeof cookieStore === "undefined") return null;
+      return cookieStore.getAll().then(function(cookies) {
+        const attributes = {};
+        cookies.forEach(function(cookie) {
+          if (cookie.name in attributes) return;
+          const sameSite = cookie.sameSite || "";
+          attributes[cookie.name] = {
+            path: cookie.path || "/",
+            domain: cookie.domain || "",
+            expires: cookie.expires || null,
+            sameSite: sameSite.charAt(0).toUpperCase() + sameSite.slice(1),
+            secure: Boolean(cookie.secure),
+          };
+        });
+        return attributes;
+      });
+    })()`);
+  }
+
   /**
    * @method removeKey
    * @description Removes a specific key from the specified storage.
-   * @param {string} storageName - The name of the storage ('localStorage' or 'sessionStorage').
+   * @param {string} storageName - The name of the storage ('localStorage', 'sessionStorage' or 'cookies').
    * @param {string} keyName - The key to remove.
    * @returns {Promise<void>} A promise that resolves when the key has been removed.
    * @async
    */
   async removeKey(storageName, keyName) {
     // Use JSON.stringify to handle keys with special characters
-    const script = `${storageName}.removeItem(${JSON.stringify(keyName)});`;
+    const script = `${this._getStorageScript(
+      storageName
+    )}.removeItem(${JSON.stringify(keyName)});`;
+    await this._eval(script);
+  }
+
+  /**
+   * @method removeKeys
+   * @description Removes several keys from the specified storage in a single evaluation.
+   * @param {string} storageName - The name of the storage ('localStorage', 'sessionStorage' or 'cookies').
+   * @param {string[]} keyNames - The keys to remove.
+   * @returns {Promise<void>} A promise that resolves when the keys have been removed.
+   * @async
+   */
+  async removeKeys(storageName, keyNames) {
+    const script = `(function() {
+      const storage = ${this._getStorageScript(storageName)};
+      ${JSON.stringify(keyNames)}.forEach(function(key) {
+        storage.removeItem(key);
+      });
+    })();`;
     await this._eval(script);
   }
 
+  /**
+   * @method setItem
+   * @description Writes a raw string value for a specific key into the specified storage.
+   * @param {string} storageName - The name of the storage ('localStorage', 'sessionStorage' or 'cookies').
+   * @param {string} keyName - The key to write.
+   * @param {string} value - The raw string value to store.
+   * @param {{path: string, domain: string, expires: (number|null), sameSite: string, secure: boolean}} [attributes] - The
+   * attributes of a cookie, ignored by the other storages. An empty `domain` sets a host-only cookie, `expires` is
+   * a time in milliseconds, null for a session cookie.
+   * @returns {Promise<void>} A promise that resolves when the value has been written.
+   * @async
+   */
+  async setItem(storageName, keyName, value, attributes) {
+    const storage = this._getStorageScript(storageName);
+    const args = [keyName, value].concat(attributes ? [attributes] : []);
+    const script = `${storage}.setItem(${args
+      .map((arg) => JSON.stringify(arg))
+      .join(", ")});`;
+    await this._eval(script);
+  }
+
+  /**
+   * @method setItems
+   * @description Writes several raw string values into the specified storage within a single evaluation.
+   * @param {string} storageName - The name of the storage ('localStorage', 'sessionStorage' or 'cookies').
+   * @param {Object<string, string>} items - The keys and raw string values to write.
+   * @param {string[]} [keysToRemove=[]] - Keys removed before writing, e.g. the keys missing from `items`
+   * when replacing the contents of the storage.
+   * @param {Object<string, object>} [attributes={}] - The attributes of cookies by name, see `setItem`.
+   * @returns {Promise<void>} A promise that resolves when all values have been written.
+   * @async
+   */
+  async setItems(storageName, items, keysToRemove = [], attributes = {}) {
+    const script = `(function() {
+      const storage = ${this._getStorageScript(storageName)};
+      const items = ${JSON.stringify(items)};
+      const attributes = ${JSON.stringify(attributes)};
+      ${JSON.stringify(keysToRemove)}.forEach(function(key) {
+        storage.removeItem(key);
+      });
+      Object.keys(items).forEach(function(key) {
+        storage.setItem(key, items[key], attributes[key]);
+      });
+    })();`;
+    await this._eval(script);
+  }
+
+  /**
+   * @method createKey
+   * @description Creates a new key in the specified storage unless it already exists.
+   * @param {string} storageName - The name of the storage ('localStorage', 'sessionStorage' or 'cookies').
+   * @param {string} keyName - The key to create.
+   * @param {string} [value=""] - The initial raw string value.
+   * @param {boolean} [overwrite=false] - If true, an existing key is overwritten.
+   * @returns {Promise<boolean>} A promise that resolves to false if the key already exists and was left untouched.
+   * @async
+   */
+  async createKey(storageName, keyName, value = "", overwrite = false) {
+    const script = `(function() {
+      const storage = ${this._getStorageScript(storageName)};
+      const key = ${JSON.stringify(keyName)};
+      if (!${overwrite} && storage.getItem(key) !== null) return false;
+      storage.setItem(key, ${JSON.stringify(value)});
+      return true;
+    })();`;
+    return this._eval(script);
+  }
+
+  /**
+   * @method duplicateKey
+   * @description Copies the value of a key to another key in the same storage.
+   * @param {string} storageName - The name of the storage ('localStorage', 'sessionStorage' or 'cookies').
+   * @param {string} sourceKey - The key to copy.
+   * @param {string} targetKey - The key to copy the value to.
+   * @param {boolean} [overwrite=false] - If true, an existing target key is overwritten.
+   * @returns {Promise<boolean>} A promise that resolves to false if the target key already exists and was left untouched.
+   * @async
+   */
+  async duplicateKey(storageName, sourceKey, targetKey, overwrite = false) {
+    return this._copyKey(storageName, sourceKey, targetKey, overwrite, false);
+  }
+
+  /**
+   * @method renameKey
+   * @description Moves the value of a key to another key in the same storage.
+   * @param {string} storageName - The name of the storage ('localStorage', 'sessionStorage' or 'cookies').
+   * @param {string} oldKey - The key to rename.
+   * @param {string} newKey - The new name of the key.
+   * @param {boolean} [overwrite=false] - If true, an existing key with the new name is overwritten.
+   * @returns {Promise<boolean>} A promise that resolves to false if the new key already exists and nothing was renamed.
+   * @async
+   */
+  async renameKey(storageName, oldKey, newKey, overwrite = false) {
+    return this._copyKey(storageName, oldKey, newKey, overwrite, true);
+  }
+
+  /**
+   * Copies or moves a value between two keys within a single evaluation, so the
+   * collision check and the write cannot be interleaved with page scripts.
+   * @param {string} storageName - The name of the storage.
+   * @param {string} sourceKey - The key to read the value from.
+   * @param {string} targetKey - The key to write the value to.
+   * @param {boolean} overwrite - If true, an existing target key is overwritten.
+   * @param {boolean} removeSource - If true, the source key is removed afterwards.
+   * @returns {Promise<boolean>} A promise that resolves to false if the target key already exists.
+   * @private
+   */
+  _copyKey(storageName, sourceKey, targetKey, overwrite, removeSource) {
+    const script = `(function() {
+      const storage = ${this._getStorageScript(storageName)};
+      const source = ${JSON.stringify(sourceKey)};
+      const target = ${JSON.stringify(targetKey)};
+      if (!${overwrite} && storage.getItem(target) !== null) return false;
+      const value = storage.getItem(source);
+      if (value === null) throw new Error("Key not found: " + source);
+      storage.setItem(target, value);
+      if (${removeSource} && source !== target) storage.removeItem(source);
+      return true;
+    })();`;
+    return this._eval(script);
+  }
+
   /**
    * @method clearStorage
    * @description Clears all items from the specified storage.
-   * @param {string} storageName - The name of the storage to clear ('localStorage' or 'sessionStorage').
+   * @param {string} storageName - The name of the storage to clear ('localStorage', 'sessionStorage' or 'cookies').
    * @returns {Promise<void>} A promise that resolves when the storage has been cleared.
    * @async
    */
   async clearStorage(storageName) {
-    const script = `${storageName}.clear();`;
+    const script = `${this._getStorageScript(storageName)}.clear();`;
     await this._eval(script);
   }
 }
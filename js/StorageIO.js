@@ -0,0 +1,159 @@
+/**
+ * @class StorageIO
+ * @description Converts storage contents from and to files.
+ * Storage contents are handled as raw maps of keys to the strings stored in Web Storage.
+ */
+class StorageIO {
+  /**
+   * @method parseFile
+   * @description Parses the text of a JSON file holding a flat object of keys to values.
+   * Values that are not strings (parsed values) are stringified back to JSON, the way the page stores them.
+   * @param {string} text - The file contents.
+   * @returns {Object<string, string>} The raw storage contents.
+   * @throws {Error} If the text is not JSON or not a flat object.
+   * @static
+   */
+  static parseFile(text) {
+    let data;
+    try {
+      data = JSON.parse(text);
+    } catch (e) {
+      throw new Error(`The file is not valid JSON: ${e.message}`);
+    }
+    if (data === null || typeof data !== "object" || Array.isArray(data)) {
+      throw new Error("The file must contain a JSON object of keys and values");
+    }
+
+    const rawStorage = {};
+    Object.keys(data).forEach((key) => {
+      const value = data[key];
+      rawStorage[key] = typeof value === "string" ? value : JSON.stringify(value);
+    });
+    return rawStorage;
+  }
+
+  /**
+   * @method planImport
+   * @description Works out what importing contents into a storage does with a given strategy:
+   * 'replace' also removes the keys that are not imported, except protected ones, 'merge-overwrite'
+   * overwrites existing keys and 'merge-keep' only adds keys that do not exist yet.
+   * @param {Object<string, string>} current - The raw contents of the storage.
+   * @param {Object<string, string>} incoming - The raw contents to import.
+   * @param {string} strategy - The import strategy ('replace', 'merge-overwrite' or 'merge-keep').
+   * @param {function(string): boolean} [isProtected] - Tells whether a key is protected from being removed.
+   * @returns {{added: string[], overwritten: string[], kept: string[], removed: string[], protected: string[], items: Object<string, string>}}
+   * The keys that will be added, overwritten, left alone, removed and kept as protected, and the items to write.
+   * @static
+   */
+  static planImport(current, incoming, strategy, isProtected = () => false) {
+    const has = (storage, key) =>
+      Object.prototype.hasOwnProperty.call(storage, key);
+    const plan = {
+      added: [],
+      overwritten: [],
+      kept: [],
+      removed: [],
+      protected: [],
+      items: {},
+    };
+
+    Object.keys(incoming).forEach((key) => {
+      if (!has(current, key)) {
+        plan.added.push(key);
+        plan.items[key] = incoming[key];
+      } else if (strategy === "merge-keep" || current[key] === incoming[key]) {
+        plan.kept.push(key);
+      } else {
+        plan.overwritten.push(key);
+        plan.items[key] = incoming[key];
+      }
+    });
+    Object.keys(current).forEach((key) => {
+      if (has(incoming, key)) return;
+
+      if (strategy !== "replace") {
+        plan.kept.push(key);
+      } else {
+        plan[isProtected(key) ? "protected" : "removed"].push(key);
+      }
+    });
+    return plan;
+  }
+
+  /**
+   * @method toRawJSON
+   * @description Serializes storage contents as a JSON object of keys to raw strings.
+   * @param {Object<string, string>} rawStorage - The raw storage contents.
+   * @returns {string} The JSON text.
+   * @static
+   */
+  static toRawJSON(rawStorage) {
+    return JSON.stringify(rawStorage, null, 2);
+  }
+
+  /**
+   * @method toParsedJSON
+   * @description Serializes storage contents as a JSON object of keys to parsed values.
+   * @param {Object<string, string>} rawStorage - The raw storage contents.
+   * @param {function(string): *} parse - Parses a raw value.
+   * @returns {string} The JSON text.
+   * @static
+   */
+  static toParsedJSON(rawStorage, parse) {
+    const parsedStorage = {};
+    Object.keys(rawStorage).forEach((key) => {
+      parsedStorage[key] = parse(rawStorage[key]);
+    });
+    return JSON.stringify(parsedStorage, null, 2);
+  }
+
+  /**
+   * @method toCSV
+   * @description Serializes storage contents as CSV with the columns key, type, length and value.
+   * @param {Object<string, string>} rawStorage - The raw storage contents.
+   * @param {function(string): string} getType - Returns the detected type of a raw value.
+   * @returns {string} The CSV text.
+   * @static
+   */
+  static toCSV(rawStorage, getType) {
+    const escapeField = (field) => {
+      const str = String(field);
+      return /[",\r\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+    };
+    const rows = Object.keys(rawStorage).map((key) => {
+      const raw = rawStorage[key];
+      return [key, getType(raw), raw.length, raw];
+    });
+
+    return [["key", "type", "length", "value"], ...rows]
+      .map((row) => row.map(escapeField).join(","))
+      .join("\r\n");
+  }
+
+  /**
+   * @method toScript
+   * @description Generates a JavaScript snippet of `setItem` calls that reproduces the storage contents
+   * when pasted into the console of a page. Cookies are written to `document.cookie` on the root path.
+   * @param {string} storageName - The name of the storage ('localStorage', 'sessionStorage' or 'cookies').
+   * @param {Object<string, string>} rawStorage - The raw storage contents.
+   * @returns {string} The script.
+   * @static
+   */
+  static toScript(storageName, rawStorage) {
+    return Object.keys(rawStorage)
+      .map((key) =>
+        storageName === "cookies"
+          ? `document.cookie = ${JSON.stringify(
+              `${key}=${rawStorage[key]}; path=/`
+            )};`
+          : `${storageName}.setItem(${JSON.stringify(key)}, ${JSON.stringify(
+              rawStorage[key]
+            )});`
+      )
+      .join("\n");
+  }
+}
+
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = StorageIO;
+}
@@ -0,0 +1,58 @@
+/**
+ * @class StorageSearch
+ * @description Searches a keyword in every key, nested property name and leaf value of the parsed storage.
+ * Matching is case-insensitive.
+ */
+class StorageSearch {
+  /**
+   * @method search
+   * @description Lists every place where the keyword occurs, in storage order.
+   * @param {Map<string, {value: *}>} storage - The parsed storage entries.
+   * @param {string} keyword - The keyword to search for.
+   * @param {number} [limit=Infinity] - The maximum number of results.
+   * @returns {Array<{key: string, path: Array<string|number>, match: string}>} The results, where `path`
+   * leads to the matching node inside the value and `match` is 'key', 'property' or 'value'.
+   * @static
+   */
+  static search(storage, keyword, limit = Infinity) {
+    const needle = keyword.toLowerCase();
+    const contains = (text) => String(text).toLowerCase().includes(needle);
+    const results = [];
+    const add = (key, path, match) => {
+      if (results.length < limit) {
+        results.push({ key, path, match });
+      }
+    };
+
+    const walk = (key, value, path) => {
+      if (results.length >= limit) return;
+
+      if (value !== null && typeof value === "object") {
+        const isArray = Array.isArray(value);
+        Object.keys(value).forEach((prop) => {
+          const itemPath = path.concat(isArray ? Number(prop) : prop);
+          if (!isArray && contains(prop)) {
+            add(key, itemPath, "property");
+          }
+          walk(key, value[prop], itemPath);
+        });
+      } else if (contains(value)) {
+        add(key, path, "value");
+      }
+    };
+
+    for (const [key, { value }] of storage) {
+      if (results.length >= limit) break;
+      if (contains(key)) {
+        add(key, [], "key");
+      }
+      walk(key, value, []);
+    }
+
+    return results;
+  }
+}
+
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = StorageSearch;
+}
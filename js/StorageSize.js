@@ -0,0 +1,90 @@
+/**
+ * @class StorageSize
+ * @description Measures how much of the per-origin Web Storage budget the keys use. Browsers store keys
+ * and values as UTF-16, so every character takes two bytes.
+ */
+class StorageSize {
+  /**
+   * @method getSize
+   * @description Returns the size of an item the way Web Storage counts it: UTF-16 code units of the key and the value.
+   * @param {string} key - The key.
+   * @param {string} raw - The raw value.
+   * @returns {number} The size in bytes.
+   * @static
+   */
+  static getSize(key, raw) {
+    return (key.length + raw.length) * 2;
+  }
+
+  /**
+   * @method analyze
+   * @description Computes the total size of a storage and breaks it down by key, by type and by key prefix.
+   * @param {Object<string, string>} rawStorage - The raw key-value pairs.
+   * @param {object} [options] - The analysis options.
+   * @param {function(string): string} [options.getType] - Returns the type of a key.
+   * @param {function(string): string} [options.getPrefix] - Returns the prefix a key is grouped under.
+   * @param {number} [options.quota=STORAGE_QUOTA] - The per-origin budget in bytes.
+   * @param {number} [options.limit=Infinity] - The maximum number of heaviest keys to list.
+   * @returns {{total: number, count: number, percent: number, heaviest: Array<{key: string, size: number, percent: number}>,
+   * byType: Array<{name: string, count: number, size: number, percent: number}>,
+   * byPrefix: Array<{name: string, count: number, size: number, percent: number}>}}
+   * The analysis; percentages are relative to the quota, and every list is sorted by size, largest first.
+   * @static
+   */
+  static analyze(
+    rawStorage,
+    {
+      getType = () => "string",
+      getPrefix = () => "",
+      quota = STORAGE_QUOTA,
+      limit = Infinity,
+    } = {}
+  ) {
+    const toPercent = (size) => (quota > 0 ? (size / quota) * 100 : 0);
+    const items = Object.keys(rawStorage).map((key) => ({
+      key,
+      size: StorageSize.getSize(key, rawStorage[key]),
+    }));
+    const total = items.reduce((sum, { size }) => sum + size, 0);
+
+    const breakDown = (getName) => {
+      const groups = new Map();
+      items.forEach(({ key, size }) => {
+        const name = getName(key);
+        const group = groups.get(name) || { name, count: 0, size: 0 };
+        group.count++;
+        group.size += size;
+        groups.set(name, group);
+      });
+      return StorageSize._bySize(Array.from(groups.values())).map(
+        (group) => ({ ...group, percent: toPercent(group.size) })
+      );
+    };
+
+    return {
+      total,
+      count: items.length,
+      percent: toPercent(total),
+      heaviest: StorageSize._bySize(items)
+        .slice(0, limit)
+        .map((item) => ({ ...item, percent: toPercent(item.size) })),
+      byType: breakDown(getType),
+      byPrefix: breakDown(getPrefix),
+    };
+  }
+
+  /**
+   * Sorts items by size, largest first; items of the same size keep their order.
+   * @param {Array<{size: number}>} items - The items.
+   * @returns {Array<{size: number}>} A sorted copy.
+   * @private
+   * @static
+   */
+  static _bySize(items) {
+    return items.slice().sort((a, b) => b.size - a.size);
+  }
+}
+
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = StorageSize;
+}
@@ -0,0 +1,157 @@
+/**
+ * @class StorageWatcher
+ * @description Polls a storage of the inspected window and reports keys that were added,
+ * changed or removed since the previous poll. Polling backs off when reading the storage
+ * is slow, so pages that write to storage constantly don't freeze DevTools.
+ */
+class StorageWatcher {
+  /**
+   * @property {number} generation - Incremented on every start/stop to discard polls that belong to a previous run.
+   * @private
+   */
+  generation = 0;
+  /**
+   * @property {number|null} timerId - The id of the scheduled poll.
+   * @private
+   */
+  timerId = null;
+  /**
+   * @property {string} storageName - The name of the watched storage.
+   * @private
+   */
+  storageName = "";
+  /**
+   * @property {Object<string, string>} snapshot - The raw storage contents seen by the last poll.
+   * @private
+   */
+  snapshot = {};
+
+  /**
+   * @constructor
+   * @param {StorageDriver} storageDriver - The driver used to read the inspected window's storage.
+   * @param {function(object, Object<string, string>, object): void} onChange - Called with the changes,
+   * the new raw storage contents and the storages info whenever something has changed.
+   * @param {number} [interval=LIVE_UPDATE_INTERVAL] - The minimal delay between two polls in milliseconds.
+   */
+  constructor(storageDriver, onChange, interval = LIVE_UPDATE_INTERVAL) {
+    this.storageDriver = storageDriver;
+    this.onChange = onChange;
+    this.interval = interval;
+  }
+
+  /**
+   * @method isRunning
+   * @description Tells whether the watcher is polling.
+   * @returns {boolean} True if a poll is scheduled or in progress.
+   */
+  isRunning() {
+    return this.timerId !== null;
+  }
+
+  /**
+   * @method start
+   * @description Starts (or restarts) watching a storage, using the given contents as the baseline.
+   * @param {string} storageName - The name of the storage to watch.
+   * @param {Object<string, string>} snapshot - The raw storage contents currently displayed.
+   */
+  start(storageName, snapshot) {
+    this.stop();
+    this.storageName = storageName;
+    this.snapshot = { ...snapshot };
+    this._schedule(this.interval);
+  }
+
+  /**
+   * @method stop
+   * @description Stops watching. A poll that is in progress is discarded.
+   */
+  stop() {
+    this.generation++;
+    clearTimeout(this.timerId);
+    this.timerId = null;
+  }
+
+  /**
+   * Schedules the next poll.
+   * @param {number} delay - The delay in milliseconds.
+   * @private
+   */
+  _schedule(delay) {
+    const generation = this.generation;
+    this.timerId = setTimeout(() => this._poll(generation), delay);
+  }
+
+  /**
+   * Reads the storage, reports the differences and schedules the next poll.
+   * The next delay grows with the time the read took.
+   * @param {number} generation - The generation the poll was scheduled for.
+   * @async
+   * @private
+   */
+  async _poll(generation) {
+    const startTime = performance.now();
+    try {
+      const [storageInfo, rawStorage] = await Promise.all([
+        this.storageDriver.getStoragesInfo(),
+        this.storageDriver.getStorageByName(this.storageName),
+      ]);
+      if (generation !== this.generation) return;
+
+      const changes = StorageWatcher.diff(this.snapshot, rawStorage);
+      this.snapshot = rawStorage;
+      if (StorageWatcher.hasChanges(changes)) {
+        this.onChange(changes, rawStorage, storageInfo);
+      }
+    } catch (e) {
+      if (generation !== this.generation) return;
+      console.error("Live update failed: ", e);
+    }
+
+    const duration = performance.now() - startTime;
+    this._schedule(Math.max(this.interval, duration * 10));
+  }
+
+  /**
+   * @method diff
+   * @description Compares two raw storage objects.
+   * @param {Object<string, string>} prev - The previous contents.
+   * @param {Object<string, string>} next - The current contents.
+   * @returns {{added: string[], changed: string[], removed: string[]}} The keys that were added, changed and removed.
+   * @static
+   */
+  static diff(prev, next) {
+    const added = [];
+    const changed = [];
+    const removed = [];
+
+    Object.keys(next).forEach((key) => {
+      if (!Object.prototype.hasOwnProperty.call(prev, key)) {
+        added.push(key);
+      } else if (prev[key] !== next[key]) {
+        changed.push(key);
+      }
+    });
+    Object.keys(prev).forEach((key) => {
+      if (!Object.prototype.hasOwnProperty.call(next, key)) {
+        removed.push(key);
+      }
+    });
+
+    return { added, changed, removed };
+  }
+
+  /**
+   * @method hasChanges
+   * @description Tells whether a diff result contains any change.
+   * @param {{added: string[], changed: string[], removed: string[]}} changes - The result of `StorageWatcher.diff`.
+   * @returns {boolean} True if at least one key was added, changed or removed.
+   * @static
+   */
+  static hasChanges({ added, changed, removed }) {
+    return added.length > 0 || changed.length > 0 || removed.length > 0;
+  }
+}
+
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = StorageWatcher;
+}
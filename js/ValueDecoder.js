@@ -0,0 +1,264 @@
+/**
+ * @class ValueDecoder
+ * @description A chain of decoders for string values that are not plain JSON: JWTs, URL-encoded text,
+ * Base64 and lz-string compressed text. Decoders are tried in order and applied repeatedly,
+ * so e.g. URL-encoded Base64 JSON is decoded in three steps.
+ */
+class ValueDecoder {
+  /**
+   * @property {Array<{name: string, test: function(string): boolean, decode: function(string): (string|object|null)}>} decoders
+   * - The registered decoders. `decode` returns null if the text cannot be decoded after all.
+   * @static
+   */
+  static decoders = [
+    {
+      name: "jwt",
+      test: (text) =>
+        /^[A-Za-z0-9_-]{2,}\.[A-Za-z0-9_-]{2,}\.[A-Za-z0-9_-]*$/.test(text),
+      decode: (text) => ValueDecoder._decodeJwt(text),
+    },
+    {
+      name: "url",
+      test: (text) => /%[0-9A-Fa-f]{2}/.test(text),
+      decode: (text) => {
+        try {
+          return decodeURIComponent(text);
+        } catch (e) {
+          return null;
+        }
+      },
+    },
+    {
+      name: "base64",
+      test: (text) =>
+        text.length >= 8 && /^[A-Za-z0-9+/_-]+={0,2}$/.test(text),
+      decode: (text) => {
+        const decoded = ValueDecoder._base64ToText(text);
+        return decoded !== null && ValueDecoder._isPrintable(decoded)
+          ? decoded
+          : null;
+      },
+    },
+    {
+      name: "lz-string",
+      // Compressed to UTF-16 (wide characters), Base64 or an URI component
+      test: (text) =>
+        typeof LZString !== "undefined" &&
+        text.length >= 8 &&
+        (/[\u0100-\uffff]/.test(text) || /^[A-Za-z0-9+/=$-]+$/.test(text)),
+      decode: (text) => ValueDecoder._decompressLz(text),
+    },
+  ];
+
+  /**
+   * @method register
+   * @description Adds a decoder to the chain.
+   * @param {{name: string, test: function(string): boolean, decode: function(string): (string|object|null)}} decoder - The decoder.
+   * @param {number} [index] - The position in the chain; decoders are appended by default.
+   * @static
+   */
+  static register(decoder, index = ValueDecoder.decoders.length) {
+    ValueDecoder.decoders.splice(index, 0, decoder);
+  }
+
+  /**
+   * @method decode
+   * @description Runs the decoder chain on a string until it yields an object, or no decoder applies anymore.
+   * Decoded strings holding JSON are parsed, which is recorded as a 'json' step.
+   * @param {string} text - The text to decode.
+   * @param {function(string): *} parse - Parses a string as JSON, returning null if it is not JSON.
+   * @param {number} [maxSteps=5] - The maximum number of decoding steps.
+   * @returns {{value: *, steps: string[]}|null} The decoded value and the names of the applied steps,
+   * or null if no decoder applies.
+   * @static
+   */
+  static decode(text, parse, maxSteps = 5) {
+    const steps = [];
+    let value = text;
+
+    while (typeof value === "string" && steps.length < maxSteps) {
+      const current = value;
+      let decoded = null;
+      const decoder = ValueDecoder.decoders.find((candidate) => {
+        if (!candidate.test(current)) return false;
+        decoded = candidate.decode(current);
+        return decoded !== null && decoded !== current;
+      });
+      if (!decoder) break;
+
+      steps.push(decoder.name);
+      value = decoded;
+      if (typeof value === "string") {
+        const parsed = parse(value);
+        if (parsed !== null && typeof parsed === "object") {
+          steps.push("json");
+          value = parsed;
+        }
+      }
+    }
+
+    return steps.length ? { value, steps } : null;
+  }
+
+  /**
+   * @method getJwtTimes
+   * @description Lists the time claims of a JWT payload with their times relative to now.
+   * @param {object} payload - The decoded JWT payload.
+   * @param {number} [now=Date.now()] - The current time in milliseconds.
+   * @returns {Array<{claim: string, time: number, relative: string, isPast: boolean}>} The claims
+   * ('exp', 'iat' and 'nbf') that are present, with their times in milliseconds.
+   * @static
+   */
+  static getJwtTimes(payload, now = Date.now()) {
+    return ["exp", "iat", "nbf"]
+      .filter((claim) => payload && typeof payload[claim] === "number")
+      .map((claim) => {
+        const time = payload[claim] * 1000;
+        return {
+          claim,
+          time,
+          relative: ValueDecoder.formatRelativeTime(time, now),
+          isPast: time <= now,
+        };
+      });
+  }
+
+  /**
+   * @method formatRelativeTime
+   * @description Formats a time relative to now, e.g. 'in 3 hours' or '2 days ago'.
+   * @param {number} time - The time in milliseconds.
+   * @param {number} [now=Date.now()] - The current time in milliseconds.
+   * @returns {string} The relative time.
+   * @static
+   */
+  static formatRelativeTime(time, now = Date.now()) {
+    const seconds = Math.round((time - now) / 1000);
+    const units = [
+      ["day", 86400],
+      ["hour", 3600],
+      ["minute", 60],
+    ];
+    const [unit, size] = units.find(
+      ([, unitSize]) => Math.abs(seconds) >= unitSize
+    ) || ["second", 1];
+    return new Intl.RelativeTimeFormat("en", { numeric: "auto" }).format(
+      Math.round(seconds / size),
+      unit
+    );
+  }
+
+  /**
+   * Decodes the header and the payload of a JWT.
+   * @param {string} text - The token.
+   * @returns {{header: object, payload: *, signature: string}|null} The token parts, or null if it is not a JWT.
+   * @private
+   * @static
+   */
+  static _decodeJwt(text) {
+    const [header, payload, signature] = text.split(".");
+    try {
+      const decodedHeader = JSON.parse(ValueDecoder._base64ToText(header));
+      if (
+        !decodedHeader ||
+        typeof decodedHeader !== "object" ||
+        !("alg" in decodedHeader || "typ" in decodedHeader)
+      ) {
+        return null;
+      }
+      return {
+        header: decodedHeader,
+        payload: JSON.parse(ValueDecoder._base64ToText(payload)),
+        signature,
+      };
+    } catch (e) {
+      return null;
+    }
+  }
+
+  /**
+   * Decodes Base64 or Base64URL holding UTF-8 text.
+   * @param {string} text - The encoded text; padding is optional.
+   * @returns {string|null} The decoded text, or null if it is not valid Base64 or UTF-8.
+   * @private
+   * @static
+   */
+  static _base64ToText(text) {
+    const normalized = text.replace(/-/g, "+").replace(/_/g, "/");
+    if (normalized.length % 4 === 1) {
+      return null;
+    }
+    try {
+      const binary = atob(
+        normalized.padEnd(Math.ceil(normalized.length / 4) * 4, "=")
+      );
+      const bytes = Uint8Array.from(binary, (char) => char.charCodeAt(0));
+      return new TextDecoder("utf-8", { fatal: true }).decode(bytes);
+    } catch (e) {
+      return null;
+    }
+  }
+
+  /**
+   * Tries the lz-string formats that can be kept in Web Storage (UTF-16, Base64 and URI component).
+   * As decompressing arbitrary text often yields garbage, a result is only accepted if it is JSON,
+   * or printable ASCII longer than the compressed text.
+   * @param {string} text - The compressed text.
+   * @returns {string|null} The decompressed text, or null.
+   * @private
+   * @static
+   */
+  static _decompressLz(text) {
+    const isAccepted = (result) => {
+      if (!result) return false;
+      try {
+        const parsed = JSON.parse(result);
+        if (parsed !== null && typeof parsed === "object") return true;
+      } catch (e) {
+        // Not JSON, check whether it is readable text
+      }
+      return (
+        result.length > text.length && /^[\x20-\x7e\t\r\n]+$/.test(result)
+      );
+    };
+
+    const attempts = [
+      () => LZString.decompressFromUTF16(text),
+      () => LZString.decompressFromBase64(text),
+      () => LZString.decompressFromEncodedURIComponent(text),
+    ];
+    for (const attempt of attempts) {
+      try {
+        const result = attempt();
+        if (isAccepted(result)) {
+          return result;
+        }
+      } catch (e) {
+        // Not in this format
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Tells whether a text contains no control characters (except whitespace) and no replacement characters.
+   * @param {string} text - The text to check.
+   * @returns {boolean} True for printable text.
+   * @private
+   * @static
+   */
+  static _isPrintable(text) {
+    return (
+      text.length > 0 &&
+      Array.from(text).every((char) => {
+        const code = char.charCodeAt(0);
+        const isControl =
+          code < 0x20 ? ![0x09, 0x0a, 0x0d].includes(code) : code === 0x7f;
+        return !isControl && code !== 0xfffd;
+      })
+    );
+  }
+}
+
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = ValueDecoder;
+}
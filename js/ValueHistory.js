@@ -0,0 +1,107 @@
+/**
+ * @class ValueHistory
+ * @description Keeps a bounded, in-memory history of the raw values of every key seen during
+ * the DevTools session. A removed key is recorded as a version with a `null` value.
+ */
+class ValueHistory {
+  /**
+   * @property {Map<string, Map<string, Array<{time: number, raw: (string|null)}>>>} versions - Versions by scope and key.
+   * @private
+   */
+  versions = new Map();
+
+  /**
+   * @constructor
+   * @param {number} [limit=HISTORY_LIMIT] - The maximum number of versions kept per key.
+   */
+  constructor(limit = HISTORY_LIMIT) {
+    this.limit = limit;
+  }
+
+  /**
+   * @method record
+   * @description Adds a version for a key unless it equals the latest recorded one.
+   * @param {string} scope - The storage the key belongs to (e.g. 'localStorage').
+   * @param {string} key - The key.
+   * @param {string|null} raw - The raw value, or null if the key was removed.
+   * @param {number} [time=Date.now()] - The time the value was seen.
+   * @returns {boolean} True if a new version was added.
+   */
+  record(scope, key, raw, time = Date.now()) {
+    if (!this.versions.has(scope)) {
+      this.versions.set(scope, new Map());
+    }
+    const keyVersions = this.versions.get(scope);
+    const list = keyVersions.get(key) || [];
+    const latest = list[list.length - 1];
+
+    if (latest ? latest.raw === raw : raw === null) {
+      return false;
+    }
+
+    list.push({ time, raw });
+    if (list.length > this.limit) {
+      list.splice(0, list.length - this.limit);
+    }
+    keyVersions.set(key, list);
+    return true;
+  }
+
+  /**
+   * @method recordSnapshot
+   * @description Records the complete contents of a storage. Keys that were known
+   * but are missing from the snapshot are recorded as removed.
+   * @param {string} scope - The storage the snapshot belongs to.
+   * @param {Object<string, string>} rawStorage - The raw storage contents.
+   * @param {number} [time=Date.now()] - The time the snapshot was taken.
+   * @returns {string[]} The keys for which a new version was added.
+   */
+  recordSnapshot(scope, rawStorage, time = Date.now()) {
+    const changedKeys = Object.keys(rawStorage).filter((key) =>
+      this.record(scope, key, rawStorage[key], time)
+    );
+
+    const keyVersions = this.versions.get(scope);
+    if (keyVersions) {
+      keyVersions.forEach((list, key) => {
+        if (
+          !Object.prototype.hasOwnProperty.call(rawStorage, key) &&
+          this.record(scope, key, null, time)
+        ) {
+          changedKeys.push(key);
+        }
+      });
+    }
+
+    return changedKeys;
+  }
+
+  /**
+   * @method getVersions
+   * @description Returns the recorded versions of a key, oldest first.
+   * @param {string} scope - The storage the key belongs to.
+   * @param {string} key - The key.
+   * @returns {Array<{time: number, raw: (string|null)}>} The versions.
+   */
+  getVersions(scope, key) {
+    const keyVersions = this.versions.get(scope);
+    return (keyVersions && keyVersions.get(key)) || [];
+  }
+
+  /**
+   * @method getLastChangeTime
+   * @description Returns when a key got its current value, i.e. the time of its latest version.
+   * Keys present since the first snapshot all share the time of that snapshot.
+   * @param {string} scope - The storage the key belongs to.
+   * @param {string} key - The key.
+   * @returns {number} The time, or 0 if nothing was recorded for the key.
+   */
+  getLastChangeTime(scope, key) {
+    const versions = this.getVersions(scope, key);
+    return versions.length ? versions[versions.length - 1].time : 0;
+  }
+}
+
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = ValueHistory;
+}
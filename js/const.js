@@ -21,6 +21,103 @@ const DEFAULT_THEME_NAME = "auto";
  */
 const DEFAULT_STORAGE = "localStorage";
 
+/**
+ * The default separators used to group keys into namespaces in the key tree, separated by spaces.
+ * @type {string}
+ */
+const DEFAULT_KEY_SEPARATORS = ": / .";
+
+/**
+ * The default order of the key list. 'none' keeps the order of the storage itself.
+ * @type {string}
+ */
+const DEFAULT_KEY_SORT = "none";
+
+/**
+ * The typical per-origin Web Storage budget in bytes. Browsers allow about 5 MB per storage and origin.
+ * @type {number}
+ */
+const STORAGE_QUOTA = 5 * 1024 * 1024;
+
+/**
+ * The default share of `STORAGE_QUOTA`, in percent, above which the size view warns.
+ * @type {number}
+ */
+const DEFAULT_SIZE_WARNING = 80;
+
+/**
+ * The number of heaviest keys listed in the size view.
+ * @type {number}
+ */
+const SIZE_TOP_KEYS = 20;
+
+/**
+ * The minimal delay in milliseconds between two reads of the inspected page's storage in live update mode.
+ * Slow reads increase the delay further.
+ * @type {number}
+ */
+const LIVE_UPDATE_INTERVAL = 1000;
+
+/**
+ * The duration in milliseconds for which keys changed by the inspected page stay highlighted in live update mode.
+ * @type {number}
+ */
+const KEY_HIGHLIGHT_TIMEOUT = 1500;
+
+/**
+ * The maximum number of versions kept per key in the value history.
+ * @type {number}
+ */
+const HISTORY_LIMIT = 20;
+
+/**
+ * The maximum number of results listed by the global search.
+ * @type {number}
+ */
+const SEARCH_RESULTS_LIMIT = 500;
+
+/**
+ * The delay in milliseconds between two checks for the result of an asynchronous script in the inspected page.
+ * @type {number}
+ */
+const ASYNC_EVAL_POLL_INTERVAL = 50;
+
+/**
+ * The time in milliseconds after which an asynchronous script in the inspected page is given up.
+ * @type {number}
+ */
+const ASYNC_EVAL_TIMEOUT = 10000;
+
+/**
+ * The number of records shown per page in the IndexedDB view.
+ * @type {number}
+ */
+const INDEXED_DB_PAGE_SIZE = 25;
+
+/**
+ * The maximum number of recent value queries offered in the query input.
+ * @type {number}
+ */
+const QUERY_HISTORY_LIMIT = 10;
+
+/**
+ * The maximum number of deletions kept per origin in the trash.
+ * @type {number}
+ */
+const TRASH_LIMIT = 20;
+
+/**
+ * The duration in milliseconds for which the "Undo" toast is shown after a deletion.
+ * @type {number}
+ */
+const UNDO_TOAST_TIMEOUT = 8000;
+
+/**
+ * The maximum number of rows rendered by the table view of an array of objects.
+ * @type {number}
+ */
+const TABLE_ROWS_LIMIT = 500;
+
 /**
  * A mapping from detected data types to their corresponding Font Awesome icon class names.
  * This is used to display a visual indicator for each key in the storage list.
@@ -33,5 +130,10 @@ const ICON_TYPE = {
   number: "sort-numeric-asc",
   null: "ban",
   boolean: "check",
+  timestamp: "clock-o",
+  date: "calendar",
+  url: "link",
+  uuid: "barcode",
+  color: "paint-brush",
   other: "question",
 };
@@ -10,6 +10,12 @@
  */
 let appShownFirst = false;
 
+/**
+ * The window object of the panel, saved when the panel is shown.
+ * @type {Window|null}
+ */
+let panelWindow = null;
+
 /**
  * Creates the "Local Storage Explorer" panel in the Chrome DevTools.
  * @param {string} title - The title of the panel.
@@ -28,6 +34,8 @@ chrome.devtools.panels.create(
      * @param {function(Window): void} listener - The callback function that receives the panel's window object.
      */
     panel.onShown.addListener(function (appWindow) {
+      panelWindow = appWindow;
+
       // On subsequent shows (not the first one), call the update method on the panel's App instance
       // to refresh the storage data.
       if (appShownFirst && appWindow.App && appWindow.App.update) {
@@ -48,5 +56,15 @@ chrome.devtools.panels.create(
         );
       }
     });
+
+    /**
+     * Adds a listener for when the panel is hidden. Live update polling is paused
+     * until the panel is shown again, which triggers `update()` and resumes it.
+     */
+    panel.onHidden.addListener(function () {
+      if (panelWindow && panelWindow.App && panelWindow.App.pauseLiveUpdate) {
+        panelWindow.App.pauseLiveUpdate();
+      }
+    });
   }
 );
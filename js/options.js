@@ -13,6 +13,11 @@ class Options {
    * @private
    */
   settings = {};
+  /**
+   * @property {OriginStore} protectedKeys - The protected keys and patterns, per origin.
+   * @private
+   */
+  protectedKeys = new OriginStore("protectedKeys");
 
   /**
    * @constructor
@@ -49,6 +54,12 @@ class Options {
     this.el = {
       storageSelect: qs(".js-select-storage"),
       themeSelect: qs(".js-select-theme"),
+      keySeparatorsInput: qs(".js-key-separators"),
+      keySortSelect: qs(".js-key-sort"),
+      keyColumnsCheckbox: qs(".js-key-columns"),
+      sizeWarningInput: qs(".js-size-warning"),
+      protectedKeysInput: qs(".js-protected-keys"),
+      protectedKeysError: qs(".js-protected-keys-error"),
       saveBtn: qs(".js-save-button"),
       header: qs(".js-options-header"),
     };
@@ -68,7 +79,8 @@ class Options {
 
   /**
    * @method _loadSettings
-   * @description Loads settings (theme and default storage) from `localStorage`.
+   * @description Loads settings (theme, default storage, key list settings, the size warning threshold
+   * and the protected keys) from `localStorage`.
    * Falls back to default values if nothing is stored.
    * @private
    */
@@ -76,17 +88,35 @@ class Options {
     this.settings = {
       theme: localStorage.getItem("theme") || DEFAULT_THEME_NAME,
       storage: localStorage.getItem("storage") || DEFAULT_STORAGE,
+      keySeparators:
+        localStorage.getItem("keySeparators") ?? DEFAULT_KEY_SEPARATORS,
+      keySort: localStorage.getItem("keySort") || DEFAULT_KEY_SORT,
+      keyColumns: localStorage.getItem("keyColumns") === "true",
+      sizeWarning:
+        Number(localStorage.getItem("sizeWarning")) || DEFAULT_SIZE_WARNING,
+      protectedKeys: ProtectedKeys.formatList(
+        Object.fromEntries(
+          this.protectedKeys
+            .origins()
+            .map((origin) => [origin, this.protectedKeys.get(origin, [])])
+        )
+      ),
     };
   }
 
   /**
    * @method _showSettings
-   * @description Updates the UI elements (select dropdowns) to reflect the currently loaded settings.
+   * @description Updates the UI elements (select dropdowns, inputs and checkboxes) to reflect the currently loaded settings.
    * @private
    */
   _showSettings() {
     this.el.storageSelect.value = this.settings.storage;
     this.el.themeSelect.value = this.settings.theme;
+    this.el.keySeparatorsInput.value = this.settings.keySeparators;
+    this.el.keySortSelect.value = this.settings.keySort;
+    this.el.keyColumnsCheckbox.checked = this.settings.keyColumns;
+    this.el.sizeWarningInput.value = this.settings.sizeWarning;
+    this.el.protectedKeysInput.value = this.settings.protectedKeys;
   }
 
   /**
@@ -96,13 +126,38 @@ class Options {
    */
   _startHandlers() {
     this.el.saveBtn.addEventListener("click", () => {
+      let protectedKeys;
+      try {
+        protectedKeys = ProtectedKeys.parseList(
+          this.el.protectedKeysInput.value
+        );
+      } catch (e) {
+        this.el.protectedKeysError.textContent = e.message;
+        return;
+      }
+
       const newSettings = {
         storage: this.el.storageSelect.value,
         theme: this.el.themeSelect.value,
+        keySeparators: this.el.keySeparatorsInput.value.trim(),
+        keySort: this.el.keySortSelect.value,
+        keyColumns: this.el.keyColumnsCheckbox.checked,
+        sizeWarning: Math.min(
+          Math.max(
+            Number(this.el.sizeWarningInput.value) || DEFAULT_SIZE_WARNING,
+            1
+          ),
+          100
+        ),
       };
 
       localStorage.setItem("storage", newSettings.storage);
       localStorage.setItem("theme", newSettings.theme);
+      localStorage.setItem("keySeparators", newSettings.keySeparators);
+      localStorage.setItem("keySort", newSettings.keySort);
+      localStorage.setItem("keyColumns", String(newSettings.keyColumns));
+      localStorage.setItem("sizeWarning", String(newSettings.sizeWarning));
+      this._saveProtectedKeys(protectedKeys);
 
       // Animate button to provide user feedback
       this.el.saveBtn.disabled = true;
@@ -116,6 +171,23 @@ class Options {
       }, BTN_HIGHLIGHT_TIMEOUT);
     });
   }
+
+  /**
+   * @method _saveProtectedKeys
+   * @description Replaces the protected keys of all origins.
+   * @param {Object<string, string[]>} byOrigin - The protected entries by origin.
+   * @private
+   */
+  _saveProtectedKeys(byOrigin) {
+    this.protectedKeys
+      .origins()
+      .filter((origin) => !byOrigin[origin])
+      .forEach((origin) => this.protectedKeys.remove(origin));
+    Object.keys(byOrigin).forEach((origin) =>
+      this.protectedKeys.set(origin, byOrigin[origin])
+    );
+    this.el.protectedKeysError.textContent = "";
+  }
 }
 
 new Options();
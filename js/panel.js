@@ -1,7 +1,7 @@
 /**
  * @class WebStorageExplorer
  * @description Main application class for the DevTools panel. It handles fetching,
- * parsing, and displaying web storage data (localStorage and sessionStorage).
+ * parsing, and displaying web storage data (localStorage, sessionStorage and cookies).
  */
 class WebStorageExplorer {
   /**
@@ -9,7 +9,8 @@ class WebStorageExplorer {
    */
   storageDriver = new StorageDriver();
   /**
-   * @property {Map<string, {value: any, len: number, type: string}>} storage - A map to hold the parsed storage data.
+   * @property {Map<string, {value: any, raw: string, len: number, type: string, decodedPaths: Array<Array<string|number>>, decoderSteps: string[]}>} storage
+   * - A map to hold the parsed storage data.
    */
   storage = new Map();
   /**
@@ -27,7 +28,7 @@ class WebStorageExplorer {
    */
   el = {};
   /**
-   * @property {string} currentStorageName - The name of the currently displayed storage ('localStorage' or 'sessionStorage').
+   * @property {string} currentStorageName - The name of the currently displayed storage ('localStorage', 'sessionStorage' or 'cookies').
    */
   currentStorageName = DEFAULT_STORAGE;
   /**
@@ -46,6 +47,181 @@ class WebStorageExplorer {
    * @property {boolean} loadedByUpdate - A flag to indicate if the data was reloaded by a user action (e.g., refresh button).
    */
   loadedByUpdate = false;
+  /**
+   * @property {string} editingKey - The key whose value is currently open in the editor, or an empty string.
+   */
+  editingKey = "";
+  /**
+   * @property {string} keyFormAction - The action of the open key form ('new', 'duplicate' or 'rename'), or an empty string.
+   */
+  keyFormAction = "";
+  /**
+   * @property {boolean} keyFormOverwrite - Set once the user has been warned that the target key already exists.
+   */
+  keyFormOverwrite = false;
+  /**
+   * @property {boolean} isLiveUpdate - If true, changes made by the inspected page are picked up automatically.
+   */
+  isLiveUpdate = false;
+  /**
+   * @property {StorageWatcher} watcher - Polls the current storage for changes in live update mode.
+   */
+  watcher = new StorageWatcher(this.storageDriver, (...args) =>
+    this._applyStorageChanges(...args)
+  );
+  /**
+   * @property {Set<string>} highlightedKeys - Keys that were recently changed by the inspected page.
+   * @private
+   */
+  highlightedKeys = new Set();
+  /**
+   * @property {ValueHistory} history - Previous values of the keys seen during the DevTools session.
+   */
+  history = new ValueHistory();
+  /**
+   * @property {string} valueTab - The active tab of the value area ('value' or 'history').
+   */
+  valueTab = "value";
+  /**
+   * @property {string} origin - The origin of the inspected page.
+   */
+  origin = "";
+  /**
+   * @property {string} toolView - The name of the open tool view (e.g. 'snapshots'), or an empty string.
+   */
+  toolView = "";
+  /**
+   * @property {number} sizeWarning - The share of the storage budget, in percent, above which the size view warns.
+   */
+  sizeWarning = DEFAULT_SIZE_WARNING;
+  /**
+   * @property {object|null} indexedDBView - The state of the IndexedDB tool view: the databases and object stores
+   * of the inspected origin, the chosen database, object store and index, the query and the loaded records.
+   */
+  indexedDBView = null;
+  /**
+   * @property {string} valueQuery - The JSONPath query applied to the shown value, or an empty string.
+   */
+  valueQuery = "";
+  /**
+   * @property {boolean} isTableView - If true, arrays of objects are shown as a table instead of a tree.
+   */
+  isTableView = false;
+  /**
+   * @property {{key: string, filter: string, sortColumn: string, sortDirection: number, hiddenColumns: string[]}} tableState
+   * - The filter, sort and hidden columns of the table view, kept while the same key is shown.
+   */
+  tableState = {
+    key: "",
+    filter: "",
+    sortColumn: "",
+    sortDirection: 1,
+    hiddenColumns: [],
+  };
+  /**
+   * @property {string[]} valueQueryHistory - The recent value queries, the latest first.
+   */
+  valueQueryHistory = [];
+  /**
+   * @property {OriginStore} snapshots - Saved storage snapshots, per inspected origin.
+   */
+  snapshots = new OriginStore("snapshots");
+  /**
+   * @property {OriginStore} trash - Deleted keys and cleared storages, per inspected origin. The trash is kept
+   * in the sessionStorage of the panel, so it lasts as long as the DevTools session.
+   */
+  trash = new OriginStore("trash", sessionStorage);
+  /**
+   * @property {OriginStore} protectedKeys - The keys and glob patterns kept by "Clear storage", bulk deletes
+   * and replacing imports, per inspected origin.
+   */
+  protectedKeys = new OriginStore("protectedKeys");
+  /**
+   * @property {string[]} protectedEntries - The protected keys and patterns of the inspected origin.
+   */
+  protectedEntries = [];
+  /**
+   * @property {OriginStore} pins - The pinned keys of each storage, per inspected origin.
+   */
+  pins = new OriginStore("pins");
+  /**
+   * @property {string[]} pinnedKeys - The pinned keys of the displayed storage, in the order they were pinned.
+   */
+  pinnedKeys = [];
+  /**
+   * @property {OriginStore} lastKeys - The last viewed key of each storage, per inspected origin.
+   */
+  lastKeys = new OriginStore("lastKeys");
+  /**
+   * @property {number} undoTrashId - The id of the trash entry the "Undo" toast restores.
+   */
+  undoTrashId = 0;
+  /**
+   * @property {number|null} undoToastTimer - The timer hiding the "Undo" toast.
+   */
+  undoToastTimer = null;
+  /**
+   * @property {{fileName: string, data: Object<string, string>}|null} importData - The file chosen in the import view.
+   */
+  importData = null;
+  /**
+   * @property {{query: string, mode: string, matchValues: boolean, matchTypes: boolean}} keyFilter - The key list filter.
+   */
+  keyFilter = {
+    query: "",
+    mode: "substring",
+    matchValues: false,
+    matchTypes: false,
+  };
+  /**
+   * @property {{keyword: string, results: Array<{key: string, path: Array<string|number>, match: string}>, index: number}|null} search
+   * - The active DevTools search with its results and the index of the shown one, or null.
+   */
+  search = null;
+  /**
+   * @property {boolean} isKeyTree - If true, keys are grouped into a tree by their prefixes.
+   */
+  isKeyTree = false;
+  /**
+   * @property {string[]} keySeparators - The separators that split keys into namespaces in the key tree.
+   */
+  keySeparators = [];
+  /**
+   * @property {Set<string>} expandedGroups - The prefixes of the expanded groups of the key tree.
+   */
+  expandedGroups = new Set();
+  /**
+   * @property {string} exportGroup - The prefix of the key tree group offered for export, or an empty string.
+   */
+  exportGroup = "";
+  /**
+   * @property {string} exportScope - The export scope chosen when the export tool view opens, or an empty string.
+   */
+  exportScope = "";
+  /**
+   * @property {Set<string>} selectedKeys - The keys selected for bulk actions.
+   */
+  selectedKeys = new Set();
+  /**
+   * @property {string} selectionAnchor - The key last clicked to select, shift-clicks select the keys up to it.
+   */
+  selectionAnchor = "";
+  /**
+   * @property {string} keySort - The order of the key list ('none', 'name', 'size', 'type' or 'changed').
+   */
+  keySort = DEFAULT_KEY_SORT;
+  /**
+   * @property {boolean} showKeyColumns - If true, the size and type of every key are shown next to it.
+   */
+  showKeyColumns = false;
+  /**
+   * @property {boolean} isDeepDecode - If true, JSON strings nested inside values are decoded recursively.
+   */
+  isDeepDecode = false;
+  /**
+   * @property {boolean} showRawValue - If true, values decoded by the decoder chain are shown as stored.
+   */
+  showRawValue = false;
 
   /**
    * @constructor
@@ -76,12 +252,29 @@ class WebStorageExplorer {
 
   /**
    * @method _loadSettings
-   * @description Loads the preferred storage type from localStorage.
+   * @description Loads the preferred storage type and the other settings from localStorage.
    * @private
    */
   _loadSettings() {
     this.currentStorageName =
       localStorage.getItem("storage") || DEFAULT_STORAGE;
+    this.isLiveUpdate = localStorage.getItem("liveUpdate") === "true";
+    this.isKeyTree = localStorage.getItem("keyTree") === "true";
+    this.isDeepDecode = localStorage.getItem("deepDecode") === "true";
+    this.keySort = localStorage.getItem("keySort") || DEFAULT_KEY_SORT;
+    this.showKeyColumns = localStorage.getItem("keyColumns") === "true";
+    this.isTableView = localStorage.getItem("tableView") === "true";
+    try {
+      this.valueQueryHistory =
+        JSON.parse(localStorage.getItem("valueQueries")) || [];
+    } catch (e) {
+      this.valueQueryHistory = [];
+    }
+    this.sizeWarning =
+      Number(localStorage.getItem("sizeWarning")) || DEFAULT_SIZE_WARNING;
+    this.keySeparators = KeyTree.parseSeparators(
+      localStorage.getItem("keySeparators") ?? DEFAULT_KEY_SEPARATORS
+    );
   }
 
   /**
@@ -97,8 +290,17 @@ class WebStorageExplorer {
       valueView: qs(".js-value-view"),
       initialText: qs(".js-initial-text"),
       keyList: qs(".js-key-list"),
+      keySelection: qs(".js-key-selection"),
+      undoToast: qs(".js-undo-toast"),
+      undoToastMessage: qs(".js-undo-toast-message"),
+      undoBtn: qs(".js-undo-btn"),
+      keySelectionCount: qs(".js-key-selection-count"),
       selectStorage: qs(".js-select-storage"),
+      selectFrame: qs(".js-select-frame"),
       reloadBtn: qs(".js-reload-btn"),
+      liveBtn: qs(".js-live-btn"),
+      keyTreeBtn: qs(".js-key-tree-btn"),
+      deepDecodeBtn: qs(".js-deep-decode-btn"),
       removeBtn: qs(".js-remove-btn"),
       showNavBtn: qs(".js-show-nav"),
       pageOverlay: qs(".js-page-overlay"),
@@ -111,38 +313,153 @@ class WebStorageExplorer {
       clearStorageBtn: qs(".js-clear-storage-button"),
       clearStorageConfirmBtn: qs(".js-clear-storage-confirm-button"),
       jsonViewTools: qs(".js-json-view-tools"),
+      main: qs(".js-main"),
+      toolView: qs(".js-tool-view"),
+      toolViewTitle: qs(".js-tool-view-title"),
+      toolViewBody: qs(".js-tool-view-body"),
+      toolViewClose: qs(".js-tool-view-close"),
+      valueTabs: qs(".js-value-tabs"),
+      historyView: qs(".js-history-view"),
+      editBtn: qs(".js-edit-btn"),
+      valueEditor: qs(".js-value-editor"),
+      editorTextarea: qs(".js-editor-textarea"),
+      editorSaveBtn: qs(".js-editor-save-btn"),
+      editorSaveStringBtn: qs(".js-editor-save-string-btn"),
+      editorCancelBtn: qs(".js-editor-cancel-btn"),
+      editorError: qs(".js-editor-error"),
+      valueQueryInput: qs(".js-value-query-input"),
+      tableViewBtn: qs(".js-table-view-btn"),
+      valueQueryHistory: qs(".js-value-query-history"),
+      valueQueryAllBtn: qs(".js-value-query-all-btn"),
+      valueQueryStatus: qs(".js-value-query-status"),
+      editorCookie: qs(".js-editor-cookie"),
+      cookiePath: qs(".js-cookie-path"),
+      cookieDomain: qs(".js-cookie-domain"),
+      cookieExpires: qs(".js-cookie-expires"),
+      cookieSameSite: qs(".js-cookie-same-site"),
+      cookieSecure: qs(".js-cookie-secure"),
+      cookieNote: qs(".js-cookie-note"),
+      keysToolbar: qs(".js-keys-toolbar"),
+      keyFilterInput: qs(".js-key-filter-input"),
+      keyFilterMode: qs(".js-key-filter-mode"),
+      keyFilterValues: qs(".js-key-filter-values"),
+      keyFilterTypes: qs(".js-key-filter-types"),
+      keyFilterStatus: qs(".js-key-filter-status"),
+      keySortSelect: qs(".js-key-sort"),
+      keyColumnsCheckbox: qs(".js-key-columns"),
+      keyForm: qs(".js-key-form"),
+      keyFormTitle: qs(".js-key-form-title"),
+      keyFormInput: qs(".js-key-form-input"),
+      keyFormError: qs(".js-key-form-error"),
+      keyFormSubmit: qs(".js-key-form-submit"),
+      keyFormCancel: qs(".js-key-form-cancel"),
+      searchResults: qs(".js-search-results"),
+      searchCounter: qs(".js-search-counter"),
+      searchPrevBtn: qs(".js-search-prev"),
+      searchNextBtn: qs(".js-search-next"),
+      searchCloseBtn: qs(".js-search-close"),
     };
   }
 
   /**
    * @method retrieveStorage
    * @description Fetches storage data from the inspected page for the given storage type.
-   * @param {string} storageType - The type of storage to retrieve ('localStorage' or 'sessionStorage').
+   * @param {string} storageType - The type of storage to retrieve ('localStorage', 'sessionStorage' or 'cookies').
    * @async
    */
   async retrieveStorage(storageType) {
-    this.currentStorageName = ["localStorage", "sessionStorage"].includes(
-      storageType
-    )
+    this.currentStorageName = [
+      "localStorage",
+      "sessionStorage",
+      "cookies",
+    ].includes(storageType)
       ? storageType
       : "localStorage";
 
     const startTime = performance.now();
     try {
-      const [storageInfo, parsedStorage] = await Promise.all([
+      await this._updateFrames();
+      const [storageInfo, parsedStorage, origin] = await Promise.all([
         this.storageDriver.getStoragesInfo(),
         this.storageDriver.getStorageByName(this.currentStorageName),
+        this.storageDriver.getOrigin(),
       ]);
 
+      if (origin !== this.origin) {
+        // Values of another site are no previous versions of the keys of this one
+        this.history = new ValueHistory();
+      }
+      this.origin = origin;
+      this.protectedEntries = this.protectedKeys.get(origin, []);
+      this.pinnedKeys =
+        this.pins.get(origin, {})[this.currentStorageName] || [];
+      this.history.recordSnapshot(this.currentStorageName, parsedStorage);
       this._showStorageInfo(storageInfo);
       this._parseAndRenderStorage(parsedStorage, startTime);
+      if (this.isLiveUpdate) {
+        this.watcher.start(this.currentStorageName, parsedStorage);
+      }
     } catch (e) {
+      this.watcher.stop();
       console.error("Cannot retrieve or parse storage: ", e);
-      this.el.initialText.textContent = `Error loading ${this.currentStorageName}.`;
+      this.el.initialText.textContent = this.storageDriver.frameURL
+        ? `Cannot access ${this.currentStorageName} of the frame ${
+            this.storageDriver.frameURL
+          }: ${e.value || e.description || e.message || e}`
+        : `Error loading ${this.currentStorageName}.`;
       this.el.initialText.style.display = "block";
     }
   }
 
+  /**
+   * @method _updateFrames
+   * @description Lists the frames of the inspected page in the frame picker, which is only shown
+   * when there are iframes. Falls back to the top frame if the chosen frame is gone.
+   * @async
+   * @private
+   */
+  async _updateFrames() {
+    let frames;
+    try {
+      frames = await this.storageDriver.getFrames();
+    } catch (e) {
+      console.error("Cannot list frames: ", e);
+      return;
+    }
+
+    const escape = WebStorageExplorer.escapeHTML;
+    if (!frames.some(({ url }) => url === this.storageDriver.frameURL)) {
+      this._selectFrame("");
+    }
+    this.el.selectFrame.innerHTML = frames
+      .map(({ url, origin, isTop }) => {
+        const label = isTop ? `Top frame (${origin})` : `Frame ${origin}`;
+        return `<option value="${escape(url)}" title="${escape(url)}">${escape(
+          label
+        )}</option>`;
+      })
+      .join("");
+    this.el.selectFrame.value = this.storageDriver.frameURL;
+    this.el.selectFrame.classList.toggle(
+      "b-storage-selector__select_hidden",
+      frames.length < 2
+    );
+  }
+
+  /**
+   * @method _selectFrame
+   * @description Routes all storage access to a frame. The value history is dropped,
+   * as it belongs to the storage of the previous frame.
+   * @param {string} frameURL - The URL of the frame, or an empty string for the top frame.
+   * @private
+   */
+  _selectFrame(frameURL) {
+    if (frameURL === this.storageDriver.frameURL) return;
+
+    this.storageDriver.setFrame(frameURL);
+    this.history = new ValueHistory();
+  }
+
   /**
    * @method _parseAndRenderStorage
    * @description Parses the raw storage object, populates the internal storage map, and renders the key list.
@@ -152,19 +469,12 @@ class WebStorageExplorer {
    */
   _parseAndRenderStorage(parsedStorage, startTime) {
     this.storage.clear();
-    this.keyList = Object.keys(parsedStorage);
+    Object.keys(parsedStorage).forEach((key) => {
+      this.storage.set(key, this._createStorageEntry(parsedStorage[key]));
+    });
+    this._sortKeyList();
 
     if (this.keyList.length) {
-      this.keyList.forEach((key) => {
-        const rawValue = parsedStorage[key];
-        const parsedValue =
-          WebStorageExplorer.tryParseJSON(rawValue) ?? rawValue;
-        this.storage.set(key, {
-          value: parsedValue,
-          len: rawValue.length,
-          type: WebStorageExplorer.guessType(parsedValue),
-        });
-      });
       this._renderStorageKeys();
     } else {
       this.clear();
@@ -174,282 +484,3817 @@ class WebStorageExplorer {
     this._showInitialText(loadTime);
     this._updateFooterPosition();
     this._checkForLastKey();
+    this._refreshSearchResults();
+    this._refreshSizeView();
   }
 
   /**
-   * @method _renderStorageKeys
-   * @description Generates the HTML for the list of storage keys and injects it into the DOM.
+   * @method _createStorageEntry
+   * @description Parses a raw storage value into an entry of the internal storage map.
+   * @param {string} rawValue - The raw string value from the inspected page.
+   * @returns {{value: any, raw: string, len: number, type: string, decodedPaths: Array<Array<string|number>>, decoderSteps: string[]}}
+   * The storage entry.
    * @private
    */
-  _renderStorageKeys() {
-    const linksTemplate = this.keyList
-      .map((key) => {
-        const { type } = this.storage.get(key);
-        const icon = ICON_TYPE[type] || "question";
-        // Basic HTML escaping for key
-        const escapedKey = key
-          .replace(/&/g, "&amp;")
-          .replace(/</g, "&lt;")
-          .replace(/>/g, "&gt;")
-          .replace(/"/g, "&quot;");
-        return `
-        <li class="b-keys-menu__item">
-            <a href="#" class="b-keys-menu__link js-select-key" data-key="${escapedKey}" title="${escapedKey}">
-                <i class="fa fa-${icon} b-keys-menu__type-icon"></i>
-                <span>${escapedKey}</span>
-            </a>
-        </li>`;
-      })
-      .join("");
-
-    this.el.keyList.innerHTML = linksTemplate;
+  _createStorageEntry(rawValue) {
+    const { value, decodedPaths, decoderSteps } = this._parseValue(rawValue);
+    return {
+      value,
+      raw: rawValue,
+      len: rawValue.length,
+      type: WebStorageExplorer.guessType(value),
+      decodedPaths,
+      decoderSteps,
+    };
   }
 
   /**
-   * @method _showStorageInfo
-   * @description Updates the storage selection dropdowns to show the number of items in each storage.
-   * @param {object} storageInfo - An object containing item counts for `ls` and `ss`.
+   * @method _parseValue
+   * @description Parses a raw storage value. Strings that are not JSON go through the decoder chain
+   * (Base64, JWT, etc.). In deep decode mode, JSON strings nested inside the value are decoded too.
+   * @param {string} rawValue - The raw string value.
+   * @returns {{value: any, decodedPaths: Array<Array<string|number>>, decoderSteps: string[]}} The value,
+   * the paths of the decoded nested strings and the steps of the decoder chain.
    * @private
    */
-  _showStorageInfo(storageInfo) {
-    if (storageInfo && storageInfo.ls !== undefined) {
-      const lsOption = this.el.selectStorage.querySelector(
-        'option[value="localStorage"]'
-      );
-      const ssOption = this.el.selectStorage.querySelector(
-        'option[value="sessionStorage"]'
+  _parseValue(rawValue) {
+    let parsedValue = WebStorageExplorer.tryParseJSON(rawValue) ?? rawValue;
+    let decoderSteps = [];
+    if (typeof parsedValue === "string") {
+      const decoded = ValueDecoder.decode(
+        parsedValue,
+        WebStorageExplorer.tryParseJSON
       );
-      lsOption.textContent = `localStorage [${storageInfo.ls}]`;
-      ssOption.textContent = `sessionStorage [${storageInfo.ss}]`;
+      if (decoded) {
+        parsedValue = decoded.value;
+        decoderSteps = decoded.steps;
+      }
+    }
+    if (!this.isDeepDecode) {
+      return { value: parsedValue, decodedPaths: [], decoderSteps };
     }
+
+    const { value, paths } = DeepJSON.decode(
+      parsedValue,
+      WebStorageExplorer.tryParseJSON
+    );
+    return { value, decodedPaths: paths, decoderSteps };
   }
 
   /**
-   * @method _setHandlers
-   * @description Attaches all necessary event listeners for the application's UI.
+   * @method _applyStorageChanges
+   * @description Applies changes detected in live update mode to the internal storage map and the key list
+   * without a full reload. The selected key and the expansion state of its value are preserved.
+   * @param {{added: string[], changed: string[], removed: string[]}} changes - The keys that changed.
+   * @param {Object<string, string>} rawStorage - The current raw contents of the storage.
+   * @param {object} storageInfo - An object containing item counts for `ls` and `ss`.
    * @private
    */
-  _setHandlers() {
-    // Event delegation for key list clicks
-    this.el.keyList.addEventListener("click", (e) => {
-      const link = e.target.closest(".js-select-key");
-      if (!link) return;
+  _applyStorageChanges({ added, changed, removed }, rawStorage, storageInfo) {
+    const removedKeys = new Set(removed);
+    const updatedKeys = added.concat(changed);
+    this.history.recordSnapshot(this.currentStorageName, rawStorage);
 
-      e.preventDefault();
-      const currentActive = this.el.keyList.querySelector(
-        ".b-keys-menu__link_active"
-      );
-      if (currentActive) {
-        currentActive.classList.remove("b-keys-menu__link_active");
-      }
-      link.classList.add("b-keys-menu__link_active");
+    removed.forEach((key) => this.storage.delete(key));
+    updatedKeys.forEach((key) =>
+      this.storage.set(key, this._createStorageEntry(rawStorage[key]))
+    );
+    this._sortKeyList();
 
-      const key = link.dataset.key;
-      this.showValueForKey(key);
-      if (this.isNavFloating) {
-        this.toggleNavView();
-      }
-      this.lastShownKeyIndex = this.keyList.indexOf(key);
-    });
+    updatedKeys.forEach((key) => this.highlightedKeys.add(key));
+    setTimeout(() => {
+      updatedKeys.forEach((key) => this.highlightedKeys.delete(key));
+    }, KEY_HIGHLIGHT_TIMEOUT);
 
-    this.el.selectStorage.addEventListener("change", async (e) => {
-      this.clear();
-      this.lastShownKey = "";
-      await this.retrieveStorage(e.target.value);
-    });
+    this._showStorageInfo(storageInfo);
+    this._renderStorageKeys();
+    this._refreshSearchResults();
+    this._refreshSizeView();
+    this._updateFooterPosition();
 
-    this.el.reloadBtn.addEventListener("click", async (e) => {
-      e.preventDefault();
-      this.clear(true);
-      await this.update();
-    });
+    // The editor keeps its content, saving it simply writes the key again
+    if (this.editingKey) return;
 
-    this.el.removeBtn.addEventListener("click", async (e) => {
-      e.preventDefault();
-      if (this.lastShownKey) {
-        await this.storageDriver.removeKey(
-          this.currentStorageName,
-          this.lastShownKey
-        );
-        this.clear(true);
-        await this.update();
-      }
-    });
+    if (removedKeys.has(this.lastShownKey)) {
+      this.lastShownKey = "";
+      this.el.valueView.innerHTML = "";
+      this.el.valueInfo.innerHTML = "";
+      this.el.jsonViewTools.classList.add("b-json-view-tools_hidden");
+      this._tryToSelectNextKey();
+    } else if (changed.includes(this.lastShownKey)) {
+      this._refreshShownValue();
+    }
+    this._showRememberedKey();
 
-    this.el.showNavBtn.addEventListener("click", (e) => {
-      e.preventDefault();
-      this.toggleNavView();
-    });
+    if (!this.storage.size) {
+      this.el.initialText.textContent = `${this.currentStorageName} is empty`;
+      this.el.initialText.style.display = "block";
+    }
+  }
 
-    this.el.pageOverlay.addEventListener("click", () => this.toggleNavView());
+  /**
+   * @method _refreshShownValue
+   * @description Re-renders the value of the selected key, keeping the scroll position
+   * and the collapsed nodes of the JSON view.
+   * @private
+   */
+  _refreshShownValue() {
+    const scrollContainer = this.el.valueView.parentElement;
+    const { scrollTop } = scrollContainer;
+    const collapsedPaths = this._getCollapsedPaths();
 
-    this.el.showSubnavBtn.addEventListener("click", (e) => {
-      e.stopPropagation();
-      this.el.subnavMenu.classList.toggle("b-subnav-menu_shown");
-      e.currentTarget.classList.toggle("b-header__header-btn_active");
-    });
+    this.showValueForKey(this.lastShownKey);
+    this._restoreCollapsedPaths(collapsedPaths);
+    scrollContainer.scrollTop = scrollTop;
+  }
 
-    this.el.body.addEventListener("click", () => {
-      if (this.el.subnavMenu.classList.contains("b-subnav-menu_shown")) {
-        this.el.subnavMenu.classList.remove("b-subnav-menu_shown");
-        this.el.showSubnavBtn.classList.remove("b-header__header-btn_active");
+  /**
+   * @method _sortKeyList
+   * @description Orders `keyList` by the chosen sort, starting from the storage order of the keys.
+   * @private
+   */
+  _sortKeyList() {
+    this.keyList = KeySort.sort(Array.from(this.storage.keys()), this.keySort, {
+      getSize: (key) => this._getKeySize(key),
+      getType: (key) => this.storage.get(key).type,
+      getChangeTime: (key) =>
+        this.history.getLastChangeTime(this.currentStorageName, key),
+    });
+    this.selectedKeys.forEach((key) => {
+      if (!this.storage.has(key)) {
+        this.selectedKeys.delete(key);
       }
     });
+  }
 
-    this.el.clearStorageBtn.addEventListener("click", (e) => {
-      e.preventDefault();
-      e.currentTarget.classList.toggle("b-subnav-menu__link_activated");
-    });
+  /**
+   * @method _getKeySize
+   * @description Returns the size of a key the way Web Storage counts it: UTF-16 code units of the key and the value.
+   * @param {string} key - The key.
+   * @returns {number} The size in bytes.
+   * @private
+   */
+  _getKeySize(key) {
+    return StorageSize.getSize(key, this.storage.get(key).raw);
+  }
 
-    this.el.clearStorageConfirmBtn.addEventListener("click", async (e) => {
-      e.preventDefault();
-      await this.storageDriver.clearStorage(this.currentStorageName);
-      this.el.subnavMenu.classList.remove("b-subnav-menu_shown");
-      this.clear();
-      await this.update();
-    });
+  /**
+   * @method _updateKeySort
+   * @description Reads the sort and column controls, remembers them and re-renders the key list.
+   * @private
+   */
+  _updateKeySort() {
+    this.keySort = this.el.keySortSelect.value;
+    this.showKeyColumns = this.el.keyColumnsCheckbox.checked;
+    localStorage.setItem("keySort", this.keySort);
+    localStorage.setItem("keyColumns", String(this.showKeyColumns));
 
-    this.el.optionsPageBtn.addEventListener("click", (e) => {
-      e.preventDefault();
-      window.open(chrome.runtime.getURL("options.html?show_header"));
-    });
+    this._sortKeyList();
+    this.lastShownKeyIndex = this.keyList.indexOf(this.lastShownKey);
+    this._renderStorageKeys();
+    this._updateFooterPosition();
+  }
 
-    this.el.valueView.addEventListener("click", (e) => {
-      const link = e.target.closest("a[href]");
-      if (link) {
-        e.preventDefault();
-        window.open(link.getAttribute("href"));
-      }
-    });
+  /**
+   * @method _renderStorageKeys
+   * @description Generates the HTML for the list of storage keys and injects it into the DOM.
+   * @private
+   */
+  _renderStorageKeys() {
+    const filteredKeys = this._getFilteredKeys();
+    this._showFilterStatus(filteredKeys);
 
-    this.el.jsonViewTools.addEventListener("click", (e) => {
-      const button = e.target.closest("button[data-json-view-action]");
-      if (!button) return;
+    const keys = filteredKeys || this.keyList;
+    const pinnedKeys = this.pinnedKeys.filter((key) => keys.includes(key));
+    const pinnedSection = pinnedKeys.length
+      ? `
+        <li class="b-keys-menu__section">Pinned</li>
+        ${pinnedKeys.map((key) => this._renderKeyLink(key, key)).join("")}
+        <li class="b-keys-menu__section">All keys</li>`
+      : "";
+    // Pinned keys are listed above the tree or list only
+    const listedKeys = keys.filter((key) => !this.pinnedKeys.includes(key));
+    this.el.keyList.innerHTML =
+      pinnedSection +
+      (this.isKeyTree
+        ? this._renderKeyTree(this._buildKeyTree(listedKeys))
+        : listedKeys.map((key) => this._renderKeyLink(key, key)).join(""));
+    this._showSelection();
+  }
 
-      const action = button.dataset.jsonViewAction.toLowerCase();
-      const level = button.dataset.jsonViewLevel || 1;
-      const $valueView = $(this.el.valueView); // jQuery needed for plugin
+  /**
+   * @method _togglePinnedKey
+   * @description Pins a key of the displayed storage to the top of the key list, or unpins it.
+   * Pins are kept per inspected origin, also for keys that are currently missing.
+   * @param {string} key - The key.
+   * @private
+   */
+  _togglePinnedKey(key) {
+    this.pinnedKeys = this.pinnedKeys.includes(key)
+      ? this.pinnedKeys.filter((pinnedKey) => pinnedKey !== key)
+      : this.pinnedKeys.concat(key);
 
-      switch (action) {
-        case "collapse":
-          $valueView.JSONView("collapse");
-          break;
-        case "expand":
-          $valueView.JSONView("expand");
-          break;
+    const pins = this.pins.get(this.origin, {});
+    if (this.pinnedKeys.length) {
+      pins[this.currentStorageName] = this.pinnedKeys;
+    } else {
+      delete pins[this.currentStorageName];
+    }
+    if (Object.keys(pins).length) {
+      this.pins.set(this.origin, pins);
+    } else {
+      this.pins.remove(this.origin);
+    }
+    this._renderStorageKeys();
+  }
+
+  /**
+   * @method _rememberLastKey
+   * @description Remembers the viewed key of the displayed storage for the inspected origin,
+   * so that it is shown again when the panel is reopened.
+   * @param {string} key - The viewed key.
+   * @private
+   */
+  _rememberLastKey(key) {
+    const lastKeys = this.lastKeys.get(this.origin, {});
+    if (lastKeys[this.currentStorageName] === key) return;
+
+    lastKeys[this.currentStorageName] = key;
+    this.lastKeys.set(this.origin, lastKeys);
+  }
+
+  /**
+   * @method _selectKey
+   * @description Toggles the selection of a key. With `isRange`, the shown keys from the last clicked key
+   * up to this one take the new selection state of this key.
+   * @param {string} key - The clicked key.
+   * @param {boolean} [isRange=false] - If true, a range of keys is selected.
+   * @private
+   */
+  _selectKey(key, isRange = false) {
+    const isSelected = !this.selectedKeys.has(key);
+    const keys =
+      isRange && this.selectionAnchor
+        ? WebStorageExplorer.getKeyRange(
+            this._getShownKeys(),
+            this.selectionAnchor,
+            key
+          )
+        : [key];
+    keys.forEach((rangeKey) =>
+      this.selectedKeys[isSelected ? "add" : "delete"](rangeKey)
+    );
+    this.selectionAnchor = key;
+    this._showSelection();
+  }
+
+  /**
+   * @method _toggleProtectedKey
+   * @description Protects a key of the inspected origin, or lifts its protection. Keys protected by a pattern
+   * stay protected until the pattern is removed on the options page.
+   * @param {string} key - The key.
+   * @private
+   */
+  _toggleProtectedKey(key) {
+    const entry = ProtectedKeys.findEntry(key, this.protectedEntries);
+    if (entry && entry !== key) return;
+
+    this.protectedEntries = entry
+      ? this.protectedEntries.filter((protectedEntry) => protectedEntry !== key)
+      : this.protectedEntries.concat(key);
+    if (this.protectedEntries.length) {
+      this.protectedKeys.set(this.origin, this.protectedEntries);
+    } else {
+      this.protectedKeys.remove(this.origin);
+    }
+    this._renderStorageKeys();
+  }
+
+  /**
+   * @method _isProtectedKey
+   * @description Tells whether a key of the inspected origin is protected.
+   * @param {string} key - The key.
+   * @returns {boolean} True if the key is protected by its name or a pattern.
+   * @private
+   */
+  _isProtectedKey(key) {
+    return ProtectedKeys.findEntry(key, this.protectedEntries) !== null;
+  }
+
+  /**
+   * @method _getShownKeys
+   * @description Lists the keys shown in the key list, in their order on screen.
+   * @returns {string[]} The keys; keys in collapsed groups of the key tree are left out.
+   * @private
+   */
+  _getShownKeys() {
+    return Array.from(
+      this.el.keyList.querySelectorAll(".js-select-key"),
+      (link) => link.dataset.key
+    );
+  }
+
+  /**
+   * @method _getSelectedKeys
+   * @description Lists the selected keys in the order of the key list.
+   * @returns {string[]} The selected keys.
+   * @private
+   */
+  _getSelectedKeys() {
+    return this.keyList.filter((key) => this.selectedKeys.has(key));
+  }
+
+  /**
+   * @method _showSelection
+   * @description Updates the check marks of the key list and the bar of bulk actions.
+   * @param {string} [message] - A message shown in place of the number of selected keys.
+   * @private
+   */
+  _showSelection(message) {
+    this.el.keyList.querySelectorAll(".js-select-key").forEach((link) => {
+      const isSelected = this.selectedKeys.has(link.dataset.key);
+      link.classList.toggle("b-keys-menu__link_selected", isSelected);
+      const check = link.querySelector(".js-key-check");
+      check.classList.toggle("fa-check-square-o", isSelected);
+      check.classList.toggle("fa-square-o", !isSelected);
+    });
+
+    const count = this.selectedKeys.size;
+    this.el.keySelection.classList.toggle("b-key-selection_hidden", !count);
+    this.el.keySelectionCount.textContent =
+      message || `${count} ${count === 1 ? "key" : "keys"} selected`;
+    const deleteBtn = this.el.keySelection.querySelector(
+      '[data-selection-action="delete"]'
+    );
+    deleteBtn.classList.remove("b-keys-toolbar__btn_armed");
+    deleteBtn.title = "Delete selected keys";
+  }
+
+  /**
+   * @method _handleSelectionAction
+   * @description Runs a bulk action on the selected keys. Deleting needs a second click on the same button.
+   * @param {HTMLElement} button - The clicked action button.
+   * @private
+   * @async
+   */
+  async _handleSelectionAction(button) {
+    const { selectionAction } = button.dataset;
+    const keys = this._getSelectedKeys();
+
+    if (selectionAction === "delete") {
+      if (!button.classList.contains("b-keys-toolbar__btn_armed")) {
+        button.classList.add("b-keys-toolbar__btn_armed");
+        button.title = this._getDeleteConfirmation(keys);
+        return;
+      }
+      await this._deleteKeys(keys, true);
+      this.selectedKeys.clear();
+      this.clear(true);
+      await this.update();
+    } else if (selectionAction === "export") {
+      this.exportGroup = "";
+      this.exportScope = "selected";
+      this.openToolView("export");
+    } else if (selectionAction === "copy") {
+      const rawStorage = {};
+      keys.forEach((key) => (rawStorage[key] = this.storage.get(key).raw));
+      this._copyToClipboard(
+        StorageIO.toScript(this.currentStorageName, rawStorage)
+      );
+      this._showSelection(
+        `Copied ${keys.length} ${keys.length === 1 ? "key" : "keys"}`
+      );
+    } else if (selectionAction === "all") {
+      this._getShownKeys().forEach((key) => this.selectedKeys.add(key));
+      this._showSelection();
+    } else if (selectionAction === "none") {
+      this.selectedKeys.clear();
+      this.selectionAnchor = "";
+      this._showSelection();
+    }
+  }
+
+  /**
+   * @method _copyToClipboard
+   * @description Copies a text to the clipboard. DevTools panels are not allowed to use the async Clipboard API,
+   * so the text is copied from a temporary text area.
+   * @param {string} text - The text to copy.
+   * @private
+   */
+  _copyToClipboard(text) {
+    const textArea = document.createElement("textarea");
+    textArea.value = text;
+    document.body.appendChild(textArea);
+    textArea.select();
+    document.execCommand("copy");
+    textArea.remove();
+  }
+
+  /**
+   * @method _renderKeyLink
+   * @description Generates the HTML of a key list item.
+   * @param {string} key - The key.
+   * @param {string} label - The text shown for the key.
+   * @returns {string} The HTML.
+   * @private
+   */
+  _renderKeyLink(key, label) {
+    const { type } = this.storage.get(key);
+    const icon = ICON_TYPE[type] || "question";
+    const protectedEntry = ProtectedKeys.findEntry(key, this.protectedEntries);
+    const isPinned = this.pinnedKeys.includes(key);
+    const lockTitle = protectedEntry
+      ? `Protected${protectedEntry === key ? "" : ` by "${protectedEntry}"`}`
+      : "Protect from clearing and bulk deletes";
+    const modifiers = [
+      key === this.lastShownKey ? "b-keys-menu__link_active" : "",
+      this.highlightedKeys.has(key) ? "b-keys-menu__link_changed" : "",
+      this.showKeyColumns ? "b-keys-menu__link_columns" : "",
+      protectedEntry ? "b-keys-menu__link_protected" : "",
+      isPinned ? "b-keys-menu__link_pinned" : "",
+    ].join(" ");
+    const escapedKey = WebStorageExplorer.escapeHTML(key);
+    const check = this.selectedKeys.has(key) ? "check-square-o" : "square-o";
+    const columns = this.showKeyColumns
+      ? `
+                <span class="b-keys-menu__column">${WebStorageExplorer.formatBytes(
+                  this._getKeySize(key)
+                )}</span>
+                <span class="b-keys-menu__column b-keys-menu__column_type">${type}</span>`
+      : "";
+    return `
+        <li class="b-keys-menu__item">
+            <a href="#" class="b-keys-menu__link ${modifiers} js-select-key" data-key="${escapedKey}" title="${escapedKey}">
+                <i class="fa fa-${check} b-keys-menu__check js-key-check" title="Select"></i>
+                <i class="fa fa-${protectedEntry ? "lock" : "unlock-alt"} b-keys-menu__lock js-key-lock"
+                  title="${WebStorageExplorer.escapeHTML(lockTitle)}"></i>
+                <i class="fa fa-thumb-tack b-keys-menu__pin js-key-pin" title="${isPinned ? "Unpin" : "Pin to the top"}"></i>
+                <i class="fa fa-${icon} b-keys-menu__type-icon"></i>
+                <span class="b-keys-menu__name">${WebStorageExplorer.escapeHTML(label)}</span>${columns}
+            </a>
+        </li>`;
+  }
+
+  /**
+   * @method _buildKeyTree
+   * @description Groups keys into a namespace tree with the sizes of the groups.
+   * @param {string[]} keys - The keys to group.
+   * @returns {object} The root group, see `KeyTree.build`.
+   * @private
+   */
+  _buildKeyTree(keys) {
+    return KeyTree.build(keys, this.keySeparators, (key) =>
+      this._getKeySize(key)
+    );
+  }
+
+  /**
+   * @method _renderKeyTree
+   * @description Generates the HTML of a key tree group: its subgroups with their counts, sizes and actions,
+   * followed by its keys. Groups are collapsed unless expanded by the user, holding the shown key
+   * or narrowed down by the filter.
+   * @param {object} group - The group returned by `KeyTree.build`.
+   * @returns {string} The HTML.
+   * @private
+   */
+  _renderKeyTree(group) {
+    const groupsTemplate = group.groups
+      .map((child) => {
+        const isExpanded =
+          this.expandedGroups.has(child.prefix) ||
+          Boolean(this.keyFilter.query) ||
+          (this.lastShownKey && this.lastShownKey.startsWith(child.prefix));
+        const prefix = WebStorageExplorer.escapeHTML(child.prefix);
+        return `
+        <li class="b-keys-menu__item b-key-tree__group">
+            <div class="b-key-tree__header">
+                <a href="#" class="b-keys-menu__link b-key-tree__toggle js-toggle-group" data-prefix="${prefix}" title="${prefix}">
+                    <i class="fa fa-caret-${isExpanded ? "down" : "right"} b-keys-menu__type-icon"></i>
+                    <span>${WebStorageExplorer.escapeHTML(child.name)}</span>
+                    <span class="b-key-tree__info">${child.count} &middot; ${WebStorageExplorer.formatBytes(child.size)}</span>
+                </a>
+                <button class="b-keys-toolbar__btn js-group-action" data-group-action="export" data-prefix="${prefix}" title="Export this group">
+                    <i class="fa fa-download"></i>
+                </button>
+                <button class="b-keys-toolbar__btn js-group-action" data-group-action="delete" data-prefix="${prefix}" title="Delete all keys under this prefix">
+                    <i class="fa fa-trash"></i>
+                </button>
+            </div>
+            ${
+              isExpanded
+                ? `<ul class="b-keys-menu b-key-tree__children">${this._renderKeyTree(child)}</ul>`
+                : ""
+            }
+        </li>`;
+      })
+      .join("");
+
+    return (
+      groupsTemplate +
+      group.keys.map(({ key, name }) => this._renderKeyLink(key, name)).join("")
+    );
+  }
+
+  /**
+   * @method toggleKeyTree
+   * @description Switches the key list between the flat list and the tree grouped by prefixes, and remembers the choice.
+   */
+  toggleKeyTree() {
+    this.isKeyTree = !this.isKeyTree;
+    localStorage.setItem("keyTree", String(this.isKeyTree));
+    this.updateUI();
+    this._renderStorageKeys();
+    this._updateFooterPosition();
+  }
+
+  /**
+   * @method toggleDeepDecode
+   * @description Turns the deep decoding of nested JSON strings on or off, remembers the choice
+   * and parses all values again.
+   */
+  toggleDeepDecode() {
+    this.isDeepDecode = !this.isDeepDecode;
+    localStorage.setItem("deepDecode", String(this.isDeepDecode));
+    this.updateUI();
+
+    this.storage.forEach(({ raw }, key) =>
+      this.storage.set(key, this._createStorageEntry(raw))
+    );
+    this._sortKeyList();
+    this._renderStorageKeys();
+    this._refreshSearchResults();
+    if (this.lastShownKey && !this.editingKey) {
+      this.showValueForKey(this.lastShownKey);
+    }
+  }
+
+  /**
+   * @method _handleGroupAction
+   * @description Runs an action on all keys of a key tree group. Deleting needs a second click on the same button.
+   * @param {HTMLElement} button - The clicked action button.
+   * @private
+   * @async
+   */
+  async _handleGroupAction(button) {
+    const { groupAction, prefix } = button.dataset;
+    const group = KeyTree.findGroup(
+      this._buildKeyTree(this._getFilteredKeys() || this.keyList),
+      prefix
+    );
+    if (!group) return;
+
+    if (groupAction === "export") {
+      this.exportGroup = prefix;
+      this.exportScope = "group";
+      this.openToolView("export");
+    } else if (groupAction === "delete") {
+      if (!button.classList.contains("b-keys-toolbar__btn_armed")) {
+        button.classList.add("b-keys-toolbar__btn_armed");
+        button.title = this._getDeleteConfirmation(KeyTree.collectKeys(group));
+        return;
+      }
+      await this._deleteKeys(KeyTree.collectKeys(group), true);
+      this.expandedGroups.delete(prefix);
+      this.clear(true);
+      await this.update();
+    }
+  }
+
+  /**
+   * @method _getFilteredKeys
+   * @description Applies the key list filter.
+   * @returns {string[]|null} The keys matching the filter, or null if the filter pattern is invalid.
+   * @private
+   */
+  _getFilteredKeys() {
+    try {
+      return KeyFilter.filter(this.keyList, this.storage, this.keyFilter);
+    } catch (e) {
+      return null;
+    }
+  }
+
+  /**
+   * @method _showFilterStatus
+   * @description Shows how many keys match the filter, or that the filter pattern is invalid.
+   * @param {string[]|null} filteredKeys - The result of `_getFilteredKeys`.
+   * @private
+   */
+  _showFilterStatus(filteredKeys) {
+    const isInvalid = filteredKeys === null;
+    let status = "";
+    if (isInvalid) {
+      status = "Invalid pattern, showing all keys";
+    } else if (this.keyFilter.query) {
+      status = `${filteredKeys.length} of ${this.keyList.length} keys`;
+    }
+
+    this.el.keyFilterStatus.textContent = status;
+    this.el.keyFilterStatus.classList.toggle(
+      "b-key-filter__status_error",
+      isInvalid
+    );
+    this.el.keyFilterInput.classList.toggle(
+      "b-key-filter__input_invalid",
+      isInvalid
+    );
+  }
+
+  /**
+   * @method _updateKeyFilter
+   * @description Reads the filter controls and re-renders the key list.
+   * @private
+   */
+  _updateKeyFilter() {
+    this.keyFilter = {
+      query: this.el.keyFilterInput.value,
+      mode: this.el.keyFilterMode.value,
+      matchValues: this.el.keyFilterValues.checked,
+      matchTypes: this.el.keyFilterTypes.checked,
+    };
+    this._renderStorageKeys();
+    this._updateFooterPosition();
+  }
+
+  /**
+   * @method _showStorageInfo
+   * @description Updates the storage selection dropdowns to show the number of items in each storage.
+   * @param {object} storageInfo - An object containing item counts for `ls`, `ss` and `cs`, and their sizes.
+   * @private
+   */
+  _showStorageInfo(storageInfo) {
+    if (storageInfo && storageInfo.ls !== undefined) {
+      const storages = [
+        ["localStorage", "localStorage", "ls"],
+        ["sessionStorage", "sessionStorage", "ss"],
+        ["cookies", "Cookies", "cs"],
+      ];
+      storages.forEach(([storageName, label, prefix]) => {
+        const option = this.el.selectStorage.querySelector(
+          `option[value="${storageName}"]`
+        );
+        if (storageInfo[prefix] !== undefined) {
+          option.textContent = this._formatStorageInfo(
+            label,
+            storageInfo[prefix],
+            storageInfo[`${prefix}Size`]
+          );
+        }
+      });
+    }
+  }
+
+  /**
+   * @method _formatStorageInfo
+   * @description Formats the text of a storage option, e.g. 'localStorage [12 · 3.4 KB]'.
+   * A warning sign is added when the storage uses more of its budget than the size warning threshold.
+   * @param {string} label - The name of the storage as shown.
+   * @param {number} count - The number of items.
+   * @param {number} [size] - The size in bytes, if known.
+   * @returns {string} The option text.
+   * @private
+   */
+  _formatStorageInfo(label, count, size) {
+    if (size === undefined) {
+      return `${label} [${count}]`;
+    }
+    const warning = this._isOverSizeWarning(size) ? " \u26a0" : "";
+    return `${label} [${count} \u00b7 ${WebStorageExplorer.formatBytes(
+      size
+    )}]${warning}`;
+  }
+
+  /**
+   * @method _isOverSizeWarning
+   * @description Tells whether a storage size exceeds the size warning threshold.
+   * @param {number} size - The size in bytes.
+   * @returns {boolean} True above the threshold.
+   * @private
+   */
+  _isOverSizeWarning(size) {
+    return (size / STORAGE_QUOTA) * 100 >= this.sizeWarning;
+  }
+
+  /**
+   * @method _setHandlers
+   * @description Attaches all necessary event listeners for the application's UI.
+   * @private
+   */
+  _setHandlers() {
+    // Event delegation for key list clicks
+    this.el.keyList.addEventListener("click", async (e) => {
+      const groupToggle = e.target.closest(".js-toggle-group");
+      if (groupToggle) {
+        e.preventDefault();
+        const { prefix } = groupToggle.dataset;
+        const isExpanded = groupToggle.querySelector(".fa-caret-down");
+        this.expandedGroups[isExpanded ? "delete" : "add"](prefix);
+        this._renderStorageKeys();
+        this._updateFooterPosition();
+        return;
+      }
+
+      const groupButton = e.target.closest(".js-group-action");
+      if (groupButton) {
+        e.preventDefault();
+        await this._handleGroupAction(groupButton);
+        return;
+      }
+
+      const link = e.target.closest(".js-select-key");
+      if (!link) return;
+
+      e.preventDefault();
+      if (e.target.closest(".js-key-pin")) {
+        this._togglePinnedKey(link.dataset.key);
+        return;
+      }
+
+      if (e.target.closest(".js-key-lock")) {
+        this._toggleProtectedKey(link.dataset.key);
+        return;
+      }
+
+      const check = e.target.closest(".js-key-check");
+      if (check || e.shiftKey || e.ctrlKey || e.metaKey) {
+        this._selectKey(link.dataset.key, e.shiftKey);
+        return;
+      }
+
+      const currentActive = this.el.keyList.querySelector(
+        ".b-keys-menu__link_active"
+      );
+      if (currentActive) {
+        currentActive.classList.remove("b-keys-menu__link_active");
+      }
+      link.classList.add("b-keys-menu__link_active");
+
+      const key = link.dataset.key;
+      this.showValueForKey(key);
+      if (this.isNavFloating) {
+        this.toggleNavView();
+      }
+      this.lastShownKeyIndex = this.keyList.indexOf(key);
+    });
+
+    this.el.searchResults.addEventListener("click", (e) => {
+      const link = e.target.closest(".js-search-result");
+      if (!link) return;
+
+      e.preventDefault();
+      this._showSearchResult(Number(link.dataset.index));
+      if (this.isNavFloating) {
+        this.toggleNavView();
+      }
+    });
+
+    this.el.searchPrevBtn.addEventListener("click", () =>
+      this._moveSearchResult(-1)
+    );
+
+    this.el.searchNextBtn.addEventListener("click", () =>
+      this._moveSearchResult(1)
+    );
+
+    this.el.searchCloseBtn.addEventListener("click", () =>
+      this._cancelSearch()
+    );
+
+    this.el.selectStorage.addEventListener("change", async (e) => {
+      this.clear();
+      this.lastShownKey = "";
+      await this.retrieveStorage(e.target.value);
+    });
+
+    this.el.selectFrame.addEventListener("change", async (e) => {
+      this._selectFrame(e.target.value);
+      this.clear();
+      this.lastShownKey = "";
+      await this.retrieveStorage(this.currentStorageName);
+    });
+
+    this.el.keyTreeBtn.addEventListener("click", () => this.toggleKeyTree());
+
+    this.el.deepDecodeBtn.addEventListener("click", () =>
+      this.toggleDeepDecode()
+    );
+
+    this.el.liveBtn.addEventListener("click", (e) => {
+      e.preventDefault();
+      this.toggleLiveUpdate();
+    });
+
+    this.el.reloadBtn.addEventListener("click", async (e) => {
+      e.preventDefault();
+      this.clear(true);
+      await this.update();
+    });
+
+    this.el.removeBtn.addEventListener("click", async (e) => {
+      e.preventDefault();
+      if (this.lastShownKey) {
+        await this._deleteKeys([this.lastShownKey]);
+        this.clear(true);
+        await this.update();
+      }
+    });
+
+    this.el.undoBtn.addEventListener("click", async (e) => {
+      e.preventDefault();
+      await this._undoDeletion();
+    });
+
+    this.el.keySelection.addEventListener("click", async (e) => {
+      const button = e.target.closest(".js-selection-action");
+      if (!button) return;
+
+      e.preventDefault();
+      await this._handleSelectionAction(button);
+    });
+
+    this.el.subnavMenu.addEventListener("click", (e) => {
+      const link = e.target.closest(".js-tool-view-link");
+      if (!link) return;
+
+      e.preventDefault();
+      this.exportGroup = "";
+      this.exportScope = "";
+      this.openToolView(link.dataset.toolView);
+    });
+
+    this.el.toolViewClose.addEventListener("click", () =>
+      this.closeToolView()
+    );
+
+    this.el.toolViewBody.addEventListener("click", async (e) => {
+      const button = e.target.closest("[data-tool-action]");
+      if (!button) return;
+
+      e.preventDefault();
+      // Destructive actions need a second click on the same button
+      if (
+        button.dataset.confirm &&
+        !button.classList.contains("b-tool-btn_armed")
+      ) {
+        button.classList.add("b-tool-btn_armed");
+        button.textContent = button.dataset.confirm;
+        return;
+      }
+      await this._handleToolAction(button.dataset.toolAction, button);
+    });
+
+    this.el.toolViewBody.addEventListener("change", async (e) => {
+      const input = e.target.closest("[data-tool-change]");
+      if (input) {
+        await this._handleToolAction(input.dataset.toolChange, input);
+      }
+    });
+
+    this.el.valueTabs.addEventListener("click", (e) => {
+      const tab = e.target.closest("[data-value-tab]");
+      if (!tab) return;
+
+      e.preventDefault();
+      this.valueTab = tab.dataset.valueTab;
+      this.showValueForKey(this.lastShownKey);
+    });
+
+    this.el.valueInfo.addEventListener("click", (e) => {
+      if (!e.target.closest(".js-toggle-decoded")) return;
+
+      e.preventDefault();
+      this.showRawValue = !this.showRawValue;
+      this.showValueForKey(this.lastShownKey);
+    });
+
+    this.el.historyView.addEventListener("change", () =>
+      this._renderHistoryDiff(this.lastShownKey)
+    );
+
+    this.el.editBtn.addEventListener("click", (e) => {
+      e.preventDefault();
+      if (this.lastShownKey) {
+        this.showValueForKey(this.lastShownKey, true);
+      }
+    });
+
+    this.el.editorSaveBtn.addEventListener("click", () =>
+      this._saveEditedValue()
+    );
+
+    this.el.editorSaveStringBtn.addEventListener("click", () =>
+      this._saveEditedValue(true)
+    );
+
+    this.el.editorCancelBtn.addEventListener("click", () =>
+      this.showValueForKey(this.editingKey)
+    );
+
+    this.el.editorTextarea.addEventListener("keydown", (e) => {
+      if (e.key === "Enter" && (e.ctrlKey || e.metaKey)) {
+        e.preventDefault();
+        this._saveEditedValue();
+      } else if (e.key === "Escape") {
+        e.preventDefault();
+        this.showValueForKey(this.editingKey);
+      }
+    });
+
+    this.el.editorTextarea.addEventListener("input", () =>
+      this._showEditorError("")
+    );
+
+    this.el.keyFilterInput.addEventListener("input", () =>
+      this._updateKeyFilter()
+    );
+
+    [
+      this.el.keyFilterMode,
+      this.el.keyFilterValues,
+      this.el.keyFilterTypes,
+    ].forEach((control) =>
+      control.addEventListener("change", () => this._updateKeyFilter())
+    );
+
+    [this.el.keySortSelect, this.el.keyColumnsCheckbox].forEach((control) =>
+      control.addEventListener("change", () => this._updateKeySort())
+    );
+
+    [this.el.keysToolbar, this.el.subnavMenu].forEach((container) =>
+      container.addEventListener("click", (e) => {
+        const actionEl = e.target.closest(".js-key-action");
+        if (!actionEl) return;
+
+        e.preventDefault();
+        this._openKeyForm(actionEl.dataset.keyAction);
+      })
+    );
+
+    this.el.keyForm.addEventListener("submit", async (e) => {
+      e.preventDefault();
+      await this._submitKeyForm();
+    });
+
+    this.el.keyFormCancel.addEventListener("click", () =>
+      this._closeKeyForm()
+    );
+
+    this.el.keyFormInput.addEventListener("input", () =>
+      this._setKeyFormError("")
+    );
+
+    this.el.keyFormInput.addEventListener("keydown", (e) => {
+      if (e.key === "Escape") {
+        this._closeKeyForm();
+      }
+    });
+
+    this.el.showNavBtn.addEventListener("click", (e) => {
+      e.preventDefault();
+      this.toggleNavView();
+    });
+
+    this.el.pageOverlay.addEventListener("click", () => this.toggleNavView());
+
+    this.el.showSubnavBtn.addEventListener("click", (e) => {
+      e.stopPropagation();
+      this.el.subnavMenu.classList.toggle("b-subnav-menu_shown");
+      e.currentTarget.classList.toggle("b-header__header-btn_active");
+    });
+
+    this.el.body.addEventListener("click", () => {
+      if (this.el.subnavMenu.classList.contains("b-subnav-menu_shown")) {
+        this.el.subnavMenu.classList.remove("b-subnav-menu_shown");
+        this.el.showSubnavBtn.classList.remove("b-header__header-btn_active");
+      }
+    });
+
+    this.el.clearStorageBtn.addEventListener("click", (e) => {
+      e.preventDefault();
+      e.currentTarget.classList.toggle("b-subnav-menu__link_activated");
+    });
+
+    this.el.clearStorageConfirmBtn.addEventListener("click", async (e) => {
+      e.preventDefault();
+      await this._clearStorage();
+      this.el.subnavMenu.classList.remove("b-subnav-menu_shown");
+      this.clear();
+      await this.update();
+    });
+
+    this.el.optionsPageBtn.addEventListener("click", (e) => {
+      e.preventDefault();
+      window.open(chrome.runtime.getURL("options.html?show_header"));
+    });
+
+    this.el.valueView.addEventListener("click", (e) => {
+      const link = e.target.closest("a[href]");
+      if (link) {
+        e.preventDefault();
+        window.open(link.getAttribute("href"));
+      }
+    });
+
+    this.el.jsonViewTools.addEventListener("click", (e) => {
+      const button = e.target.closest("button[data-json-view-action]");
+      if (!button) return;
+
+      const action = button.dataset.jsonViewAction.toLowerCase();
+      const level = button.dataset.jsonViewLevel || 1;
+      const $valueView = $(this.el.valueView); // jQuery needed for plugin
+
+      switch (action) {
+        case "collapse":
+          $valueView.JSONView("collapse");
+          break;
+        case "expand":
+          $valueView.JSONView("expand");
+          break;
         case "toggle":
           $valueView.JSONView("toggle", level);
           break;
       }
     });
 
-    this.el.window.addEventListener("resize", () =>
-      this._updateFooterPosition()
+    this.el.tableViewBtn.addEventListener("click", (e) => {
+      e.preventDefault();
+      this.toggleTableView();
+    });
+
+    this.el.valueView.addEventListener("click", (e) => {
+      const sortHeader = e.target.closest(".js-table-sort");
+      const row = e.target.closest(".js-table-row");
+      if (sortHeader) {
+        this._sortRecordTable(sortHeader.dataset.column);
+      } else if (row) {
+        this._showRecordInTree(Number(row.dataset.index));
+      }
+    });
+
+    this.el.valueView.addEventListener("input", (e) => {
+      if (e.target.closest(".js-table-filter")) {
+        this.tableState.filter = e.target.value;
+        this._renderRecordTableRows();
+      }
+    });
+
+    this.el.valueView.addEventListener("change", (e) => {
+      const checkbox = e.target.closest(".js-table-column");
+      if (!checkbox) return;
+
+      const { column } = checkbox.dataset;
+      this.tableState.hiddenColumns = checkbox.checked
+        ? this.tableState.hiddenColumns.filter((name) => name !== column)
+        : this.tableState.hiddenColumns.concat(column);
+      this._renderRecordTableRows();
+    });
+
+    this.el.valueQueryInput.addEventListener("keydown", (e) => {
+      if (e.key === "Enter") {
+        e.preventDefault();
+        this.runValueQuery(this.el.valueQueryInput.value);
+      } else if (e.key === "Escape") {
+        e.preventDefault();
+        this.runValueQuery("");
+      }
+    });
+
+    this.el.valueQueryAllBtn.addEventListener("click", (e) => {
+      e.preventDefault();
+      this.runValueQuery(this.el.valueQueryInput.value, true);
+    });
+
+    this.el.window.addEventListener("resize", () =>
+      this._updateFooterPosition()
+    );
+  }
+
+  /**
+   * @method _createConstants
+   * @description Calculates and stores layout-related constants to avoid re-computation.
+   * @private
+   */
+  _createConstants() {
+    this.constants.footerHeight = this.el.footer.offsetHeight;
+    Object.freeze(this.constants);
+  }
+
+  /**
+   * @method updateUI
+   * @description Syncs the UI state with the application's current state.
+   */
+  updateUI() {
+    this.el.selectStorage.value = this.currentStorageName;
+    this.el.liveBtn.classList.toggle(
+      "b-nav-footer__btn_active",
+      this.isLiveUpdate
+    );
+    this.el.keyTreeBtn.classList.toggle(
+      "b-keys-toolbar__btn_active",
+      this.isKeyTree
+    );
+    this.el.deepDecodeBtn.classList.toggle(
+      "b-keys-toolbar__btn_active",
+      this.isDeepDecode
+    );
+    this.el.keySortSelect.value = this.keySort;
+    this.el.keyColumnsCheckbox.checked = this.showKeyColumns;
+    this.el.valueQueryInput.value = this.valueQuery;
+    this._renderValueQueryHistory();
+  }
+
+  /**
+   * @method openToolView
+   * @description Opens a tool view (e.g. 'snapshots') in place of the value area.
+   * @param {string} name - The name of the tool view.
+   */
+  openToolView(name) {
+    this.toolView = name;
+    this.el.main.classList.add("b-main_tool-view");
+    this.el.toolView.classList.remove("b-tool-view_hidden");
+    this.el.main.scrollTop = 0;
+    if (name === "indexedDB") {
+      this.indexedDBView = {
+        databases: [],
+        database: "",
+        stores: [],
+        store: "",
+        index: "",
+        inputs: { lower: "", upper: "", lowerOpen: false, upperOpen: false },
+        direction: "next",
+        offset: 0,
+        result: null,
+        isLoading: false,
+        error: "",
+      };
+      this._loadIndexedDB("databases");
+    } else {
+      this._renderToolView();
+    }
+  }
+
+  /**
+   * @method closeToolView
+   * @description Closes the open tool view and brings back the value area.
+   */
+  closeToolView() {
+    this.toolView = "";
+    this.exportGroup = "";
+    this.exportScope = "";
+    this.indexedDBView = null;
+    this.el.main.classList.remove("b-main_tool-view");
+    this.el.toolView.classList.add("b-tool-view_hidden");
+    this.el.toolViewBody.innerHTML = "";
+  }
+
+  /**
+   * @method _renderToolView
+   * @description Renders the title and the body of the open tool view.
+   * @private
+   */
+  _renderToolView() {
+    const views = {
+      snapshots: () => [
+        `Snapshots for ${this.origin}`,
+        this._renderSnapshotsView(),
+      ],
+      compare: () => ["Compare", this._renderCompareView()],
+      export: () => [
+        `Export ${this.currentStorageName}`,
+        this._renderExportView(),
+      ],
+      import: () => [
+        `Import into ${this.currentStorageName}`,
+        this._renderImportView(),
+      ],
+      size: () => [
+        `Size of ${this.currentStorageName}`,
+        this._renderSizeView(),
+      ],
+      indexedDB: () => [
+        `IndexedDB of ${this.origin}`,
+        this._renderIndexedDBView(),
+      ],
+      trash: () => [`Trash for ${this.origin}`, this._renderTrashView()],
+      bulkDelete: () => [
+        `Delete keys of ${this.currentStorageName} by pattern`,
+        this._renderBulkDeleteView(),
+      ],
+    };
+    if (!views[this.toolView]) return;
+
+    const [title, body] = views[this.toolView]();
+    this.el.toolViewTitle.textContent = title;
+    this.el.toolViewTitle.title = title;
+    this.el.toolViewBody.innerHTML = body;
+    if (this.toolView === "indexedDB") {
+      this._renderIndexedDBValues();
+    }
+  }
+
+  /**
+   * @method _showToolMessage
+   * @description Shows a message in the open tool view.
+   * @param {string} message - The message to display.
+   * @param {boolean} [isError=false] - If true, the message is styled as an error.
+   * @private
+   */
+  _showToolMessage(message, isError = false) {
+    const messageEl = this.el.toolViewBody.querySelector(".js-tool-message");
+    if (!messageEl) return;
+
+    messageEl.textContent = message;
+    messageEl.classList.toggle("b-tool-view__message_error", isError);
+  }
+
+  /**
+   * @method _handleToolAction
+   * @description Dispatches a click on a `data-tool-action` button of a tool view.
+   * @param {string} action - The action name.
+   * @param {HTMLElement} button - The clicked button, its data attributes carry the action arguments.
+   * @async
+   * @private
+   */
+  async _handleToolAction(action, button) {
+    try {
+      switch (action) {
+        case "snapshot-save":
+          await this._saveSnapshot();
+          break;
+        case "snapshot-restore":
+          await this._restoreSnapshot(Number(button.dataset.index), true);
+          break;
+        case "snapshot-merge":
+          await this._restoreSnapshot(Number(button.dataset.index), false);
+          break;
+        case "snapshot-delete":
+          this._deleteSnapshot(Number(button.dataset.index));
+          break;
+        case "compare-source":
+          this.el.toolViewBody
+            .querySelector(`.js-compare-file[data-side="${button.dataset.side}"]`)
+            .classList.toggle("b-compare__file_hidden", button.value !== "file");
+          break;
+        case "compare-run":
+          await this._runCompare();
+          break;
+        case "export-download":
+          this._exportStorage();
+          break;
+        case "import-file":
+          await this._readImportFile(button);
+          break;
+        case "import-strategy":
+          this._renderImportPreview();
+          break;
+        case "import-apply":
+          await this._applyImport();
+          break;
+        case "trash-restore":
+          await this._restoreFromTrash(
+            Number(button.dataset.index),
+            button.dataset.key
+          );
+          break;
+        case "trash-discard":
+          this._discardFromTrash(Number(button.dataset.index));
+          break;
+        case "trash-empty":
+          this.trash.remove(this.origin);
+          this._renderToolView();
+          break;
+        case "bulk-preview":
+          this._renderBulkDeletePreview();
+          break;
+        case "bulk-delete":
+          await this._bulkDelete();
+          break;
+        case "size-show-key":
+          this.closeToolView();
+          this.showValueForKey(button.dataset.key);
+          break;
+        case "idb-refresh":
+          this._readIndexedDBInputs();
+          await this._loadIndexedDB("databases");
+          break;
+        case "idb-database":
+          await this._updateIndexedDBQuery(
+            { database: button.value, store: "", index: "" },
+            "stores"
+          );
+          break;
+        case "idb-store":
+          await this._updateIndexedDBQuery({ store: button.value, index: "" });
+          break;
+        case "idb-index":
+          await this._updateIndexedDBQuery({ index: button.value });
+          break;
+        case "idb-query":
+          await this._updateIndexedDBQuery({});
+          break;
+        case "idb-page":
+          await this._updateIndexedDBQuery({
+            offset: Math.max(
+              0,
+              this.indexedDBView.offset + Number(button.dataset.step)
+            ),
+          });
+          break;
+      }
+    } catch (e) {
+      console.error(`Tool action "${action}" failed: `, e);
+      this._showToolMessage(
+        `Failed: ${e.value || e.description || e.message || e}`,
+        true
+      );
+    }
+  }
+
+  /**
+   * @method _renderSnapshotsView
+   * @description Generates the HTML of the snapshots tool view: a form to save the current storage
+   * and the list of snapshots saved for the inspected origin.
+   * @returns {string} The HTML.
+   * @private
+   */
+  _renderSnapshotsView() {
+    const escape = WebStorageExplorer.escapeHTML;
+    const snapshots = this.snapshots.get(this.origin, []);
+    const rows = snapshots
+      .map(
+        ({ name, storageName, created, data }, index) => `
+        <tr>
+          <td>${escape(name)}</td>
+          <td>${storageName}</td>
+          <td>${Object.keys(data).length} keys</td>
+          <td>${new Date(created).toLocaleString()}</td>
+          <td class="b-tool-table__actions">
+            <button class="b-tool-btn" data-tool-action="snapshot-restore" data-index="${index}"
+              data-confirm="Replace ${storageName}?" title="Replace ${storageName} with this snapshot">Restore</button>
+            <button class="b-tool-btn" data-tool-action="snapshot-merge" data-index="${index}"
+              title="Write the snapshot keys into ${storageName}, keeping other keys">Merge</button>
+            <button class="b-tool-btn" data-tool-action="snapshot-delete" data-index="${index}"
+              data-confirm="Delete?">Delete</button>
+          </td>
+        </tr>`
+      )
+      .join("");
+
+    return `
+      <div class="b-tool-view__section">
+        <input type="text" class="b-tool-input js-snapshot-name" placeholder="Snapshot name" spellcheck="false">
+        <button class="b-tool-btn" data-tool-action="snapshot-save">Save ${this.currentStorageName}</button>
+      </div>
+      <div class="b-tool-view__message js-tool-message"></div>
+      ${
+        rows
+          ? `<table class="b-tool-table">
+              <tr><th>Name</th><th>Storage</th><th>Size</th><th>Saved</th><th></th></tr>
+              ${rows}
+            </table>`
+          : `<div class="b-tool-view__empty">No snapshots saved for this origin yet.</div>`
+      }
+    `;
+  }
+
+  /**
+   * @method _saveSnapshot
+   * @description Saves the complete current contents of the displayed storage as a named snapshot.
+   * A snapshot with the same name and storage is replaced.
+   * @async
+   * @private
+   */
+  async _saveSnapshot() {
+    const nameInput = this.el.toolViewBody.querySelector(".js-snapshot-name");
+    const name =
+      nameInput.value.trim() || `Snapshot ${new Date().toLocaleString()}`;
+    const storageName = this.currentStorageName;
+    const data = await this.storageDriver.getStorageByName(storageName);
+
+    const snapshots = this.snapshots
+      .get(this.origin, [])
+      .filter(
+        (snapshot) =>
+          snapshot.name !== name || snapshot.storageName !== storageName
+      );
+    snapshots.unshift({ name, storageName, created: Date.now(), data });
+    this.snapshots.set(this.origin, snapshots);
+
+    this._renderToolView();
+    this._showToolMessage(`Saved "${name}" (${Object.keys(data).length} keys)`);
+  }
+
+  /**
+   * @method _restoreSnapshot
+   * @description Writes a snapshot back into the storage it was taken from.
+   * @param {number} index - The index of the snapshot in the list of the inspected origin.
+   * @param {boolean} replace - If true, the keys missing from the snapshot are removed, except protected ones;
+   * otherwise the snapshot is merged into the storage.
+   * @async
+   * @private
+   */
+  async _restoreSnapshot(index, replace) {
+    const snapshot = this.snapshots.get(this.origin, [])[index];
+    if (!snapshot) return;
+
+    const { removed, protected: keptKeys } = replace
+      ? StorageIO.planImport(
+          await this.storageDriver.getStorageByName(snapshot.storageName),
+          snapshot.data,
+          "replace",
+          (key) => this._isProtectedKey(key)
+        )
+      : { removed: [], protected: [] };
+    await this.storageDriver.setItems(
+      snapshot.storageName,
+      snapshot.data,
+      removed
+    );
+    if (snapshot.storageName === this.currentStorageName) {
+      this.clear(true);
+      await this.update();
+    }
+
+    this._renderToolView();
+    this._showToolMessage(
+      `${replace ? "Restored" : "Merged"} "${snapshot.name}" into ${
+        snapshot.storageName
+      }${this._formatKeptCount(keptKeys.length)}`
+    );
+  }
+
+  /**
+   * @method _deleteSnapshot
+   * @description Deletes a saved snapshot.
+   * @param {number} index - The index of the snapshot in the list of the inspected origin.
+   * @private
+   */
+  _deleteSnapshot(index) {
+    const snapshots = this.snapshots.get(this.origin, []);
+    snapshots.splice(index, 1);
+    this.snapshots.set(this.origin, snapshots);
+    this._renderToolView();
+  }
+
+  /**
+   * @method _renderCompareView
+   * @description Generates the HTML of the compare tool view. Each side can be the current localStorage,
+   * sessionStorage or cookies, a snapshot of the inspected origin or a JSON file.
+   * @returns {string} The HTML.
+   * @private
+   */
+  _renderCompareView() {
+    const otherStorageName =
+      this.currentStorageName === "localStorage"
+        ? "sessionStorage"
+        : "localStorage";
+    const snapshotOptions = this.snapshots
+      .get(this.origin, [])
+      .map(
+        ({ name, storageName }, index) =>
+          `<option value="snapshot:${index}">Snapshot: ${WebStorageExplorer.escapeHTML(
+            name
+          )} (${storageName})</option>`
+      )
+      .join("");
+    const sourceSelect = (side, selected) => `
+      <label class="b-tool-label">${side === "left" ? "Left" : "Right"}</label>
+      <select class="b-tool-input" data-side="${side}" data-tool-change="compare-source">
+        ${["localStorage", "sessionStorage", "cookies"]
+          .map(
+            (name) =>
+              `<option value="${name}" ${
+                name === selected ? "selected" : ""
+              }>Current ${name}</option>`
+          )
+          .join("")}
+        ${snapshotOptions}
+        <option value="file">JSON file&hellip;</option>
+      </select>
+      <input type="file" accept=".json,application/json" data-side="${side}"
+        class="b-compare__file b-compare__file_hidden js-compare-file">`;
+
+    return `
+      <div class="b-tool-view__section">${sourceSelect(
+        "left",
+        this.currentStorageName
+      )}</div>
+      <div class="b-tool-view__section">${sourceSelect(
+        "right",
+        otherStorageName
+      )}</div>
+      <div class="b-tool-view__section">
+        <button class="b-tool-btn" data-tool-action="compare-run">Compare</button>
+      </div>
+      <div class="b-tool-view__message js-tool-message"></div>
+      <div class="js-compare-result"></div>
+    `;
+  }
+
+  /**
+   * @method _loadCompareSource
+   * @description Reads the raw contents of the source selected for one side of the compare view.
+   * @param {string} side - The side ('left' or 'right').
+   * @returns {Promise<{label: string, data: Object<string, string>}>} The label and the raw contents of the source.
+   * @async
+   * @private
+   */
+  async _loadCompareSource(side) {
+    const { value } = this.el.toolViewBody.querySelector(
+      `select[data-side="${side}"]`
+    );
+
+    if (value === "file") {
+      const [file] = this.el.toolViewBody.querySelector(
+        `.js-compare-file[data-side="${side}"]`
+      ).files;
+      if (!file) {
+        throw new Error(`Choose a file for the ${side} side`);
+      }
+      return { label: file.name, data: StorageIO.parseFile(await file.text()) };
+    }
+
+    if (value.startsWith("snapshot:")) {
+      const snapshot = this.snapshots.get(this.origin, [])[
+        Number(value.slice("snapshot:".length))
+      ];
+      return { label: snapshot.name, data: snapshot.data };
+    }
+
+    return {
+      label: value,
+      data: await this.storageDriver.getStorageByName(value),
+    };
+  }
+
+  /**
+   * @method _runCompare
+   * @description Compares the two selected sources and renders the keys found only on the left,
+   * only on the right, and the changed keys with a diff of their parsed values.
+   * @async
+   * @private
+   */
+  async _runCompare() {
+    const [left, right] = await Promise.all([
+      this._loadCompareSource("left"),
+      this._loadCompareSource("right"),
+    ]);
+    const { onlyLeft, onlyRight, changed, unchanged } =
+      JsonDiff.compareStorages(
+        left.data,
+        right.data,
+        (raw) => WebStorageExplorer.tryParseJSON(raw) ?? raw
+      );
+
+    const escape = WebStorageExplorer.escapeHTML;
+    const changedList = changed.length
+      ? changed
+          .map(
+            ({ key, entries }) => `
+            <details class="b-compare__changed">
+              <summary>${escape(key)} (${entries.length} ${
+              entries.length === 1 ? "difference" : "differences"
+            })</summary>
+              ${this._renderDiff(entries)}
+            </details>`
+          )
+          .join("")
+      : `<div class="b-diff__empty">None</div>`;
+
+    this._showToolMessage("");
+    this.el.toolViewBody.querySelector(".js-compare-result").innerHTML = `
+      <div class="b-compare__summary">
+        ${onlyLeft.length} only in ${escape(left.label)},
+        ${onlyRight.length} only in ${escape(right.label)},
+        ${changed.length} changed, ${unchanged.length} unchanged
+      </div>
+      <h4 class="b-compare__heading">Only in ${escape(left.label)}</h4>
+      ${this._renderKeyNames(onlyLeft)}
+      <h4 class="b-compare__heading">Only in ${escape(right.label)}</h4>
+      ${this._renderKeyNames(onlyRight)}
+      <h4 class="b-compare__heading">Changed</h4>
+      ${changedList}
+    `;
+  }
+
+  /**
+   * @method _renderKeyNames
+   * @description Generates the HTML of a plain list of key names for tool views.
+   * @param {string[]} keys - The keys.
+   * @returns {string} The HTML.
+   * @private
+   */
+  _renderKeyNames(keys) {
+    if (!keys.length) {
+      return `<div class="b-diff__empty">None</div>`;
+    }
+    return `<ul class="b-compare__keys">${keys
+      .map((key) => `<li>${WebStorageExplorer.escapeHTML(key)}</li>`)
+      .join("")}</ul>`;
+  }
+
+  /**
+   * @method _deleteKeys
+   * @description Moves keys of the displayed storage to the trash and removes them in one evaluation,
+   * then offers to undo the deletion.
+   * @param {string[]} keysToDelete - The keys to delete.
+   * @param {boolean} [skipProtected=false] - If true, protected keys are kept, as bulk deletes do.
+   * @async
+   * @private
+   */
+  async _deleteKeys(keysToDelete, skipProtected = false) {
+    const keys = skipProtected
+      ? keysToDelete.filter((key) => !this._isProtectedKey(key))
+      : keysToDelete;
+    if (!keys.length) return;
+
+    const data = {};
+    keys.forEach((key) => (data[key] = this.storage.get(key).raw));
+    const id = this._moveToTrash(
+      "delete",
+      data,
+      await this._readCookieAttributes(this.currentStorageName)
+    );
+
+    if (keys.length === 1) {
+      await this.storageDriver.removeKey(this.currentStorageName, keys[0]);
+    } else {
+      await this.storageDriver.removeKeys(this.currentStorageName, keys);
+    }
+    const message =
+      keys.length === 1 ? `Deleted "${keys[0]}"` : `Deleted ${keys.length} keys`;
+    this._showUndoToast(
+      message + this._formatKeptCount(keysToDelete.length - keys.length),
+      id
+    );
+  }
+
+  /**
+   * @method _clearStorage
+   * @description Moves all keys of the displayed storage to the trash and clears it, then offers to undo.
+   * Protected keys are kept.
+   * @async
+   * @private
+   */
+  async _clearStorage() {
+    const storageName = this.currentStorageName;
+    const storage = await this.storageDriver.getStorageByName(storageName);
+    const data = {};
+    Object.keys(storage)
+      .filter((key) => !this._isProtectedKey(key))
+      .forEach((key) => (data[key] = storage[key]));
+    const id = this._moveToTrash(
+      "clear",
+      data,
+      await this._readCookieAttributes(storageName)
+    );
+
+    const keptCount = Object.keys(storage).length - Object.keys(data).length;
+    if (keptCount) {
+      await this.storageDriver.removeKeys(storageName, Object.keys(data));
+    } else {
+      await this.storageDriver.clearStorage(storageName);
+    }
+    this._showUndoToast(
+      `Cleared ${storageName}${this._formatKeptCount(keptCount)}`,
+      id
+    );
+  }
+
+  /**
+   * @method _getDeleteConfirmation
+   * @description Describes what a second click on an armed bulk delete button removes.
+   * @param {string[]} keys - The keys of the bulk delete, protected keys included.
+   * @returns {string} The confirmation, with the number of protected keys that are kept.
+   * @private
+   */
+  _getDeleteConfirmation(keys) {
+    const keptCount = keys.filter((key) => this._isProtectedKey(key)).length;
+    const count = keys.length - keptCount;
+    const kept = keptCount
+      ? `, ${keptCount} protected ${keptCount === 1 ? "key is" : "keys are"} kept`
+      : "";
+    return `Click again to delete ${count} ${
+      count === 1 ? "key" : "keys"
+    }${kept}`;
+  }
+
+  /**
+   * @method _formatKeptCount
+   * @description Describes how many protected keys a deletion has kept.
+   * @param {number} count - The number of kept keys.
+   * @returns {string} The description to append to a message, empty if no key was kept.
+   * @private
+   */
+  _formatKeptCount(count) {
+    if (!count) return "";
+    return `, kept ${count} protected ${count === 1 ? "key" : "keys"}`;
+  }
+
+  /**
+   * @method _moveToTrash
+   * @description Adds deleted keys of the displayed storage to the trash of the inspected origin.
+   * The oldest entries are dropped beyond `TRASH_LIMIT`.
+   * @param {string} action - What removed the keys ('delete' or 'clear').
+   * @param {Object<string, string>} data - The raw values of the removed keys.
+   * @param {Object<string, object>} [attributes={}] - The attributes of removed cookies, see `_readCookieAttributes`.
+   * @returns {number} The id of the trash entry, or 0 if there was nothing to keep.
+   * @private
+   */
+  _moveToTrash(action, data, attributes = {}) {
+    if (!Object.keys(data).length) return 0;
+
+    const trash = this.trash.get(this.origin, []);
+    // Ids are creation times, bumped when two deletions happen within the same millisecond
+    const id = Math.max(Date.now(), trash.length ? trash[0].id + 1 : 0);
+    const cookieAttributes = {};
+    Object.keys(data)
+      .filter((key) => attributes[key])
+      .forEach((key) => (cookieAttributes[key] = attributes[key]));
+    trash.unshift({
+      id,
+      action,
+      storageName: this.currentStorageName,
+      deleted: Date.now(),
+      data,
+      attributes: cookieAttributes,
+    });
+    try {
+      this.trash.set(this.origin, trash.slice(0, TRASH_LIMIT));
+    } catch (e) {
+      console.error("Cannot keep the deleted keys in the trash: ", e);
+      return 0;
+    }
+
+    if (this.toolView === "trash") {
+      this._renderToolView();
+    }
+    return id;
+  }
+
+  /**
+   * @method _readCookieAttributes
+   * @description Reads the attributes of the cookies before they are deleted, so that restoring them from
+   * the trash sets them on the same path and with the same expiry.
+   * @param {string} storageName - The name of the storage the keys are deleted from.
+   * @returns {Promise<Object<string, object>>} The attributes by cookie name, see `StorageDriver.getCookieAttributes`;
+   * empty for the other storages and when the page cannot tell them.
+   * @async
+   * @private
+   */
+  async _readCookieAttributes(storageName) {
+    if (storageName !== "cookies") return {};
+
+    try {
+      return (await this.storageDriver.getCookieAttributes()) || {};
+    } catch (e) {
+      console.error("Cannot read the cookie attributes: ", e);
+      return {};
+    }
+  }
+
+  /**
+   * @method _showUndoToast
+   * @description Shows a toast offering to restore a trash entry, for `UNDO_TOAST_TIMEOUT` milliseconds.
+   * @param {string} message - The message describing the deletion.
+   * @param {number} id - The id of the trash entry; without one, the toast is not shown.
+   * @private
+   */
+  _showUndoToast(message, id) {
+    if (!id) return;
+
+    clearTimeout(this.undoToastTimer);
+    this.undoTrashId = id;
+    this.el.undoToastMessage.textContent = message;
+    this.el.undoToast.classList.remove("b-toast_hidden");
+    this.undoToastTimer = setTimeout(
+      () => this._hideUndoToast(),
+      UNDO_TOAST_TIMEOUT
+    );
+  }
+
+  /**
+   * @method _hideUndoToast
+   * @description Hides the "Undo" toast.
+   * @private
+   */
+  _hideUndoToast() {
+    clearTimeout(this.undoToastTimer);
+    this.undoTrashId = 0;
+    this.el.undoToast.classList.add("b-toast_hidden");
+  }
+
+  /**
+   * @method _undoDeletion
+   * @description Restores the trash entry of the "Undo" toast.
+   * @async
+   * @private
+   */
+  async _undoDeletion() {
+    const index = this.trash
+      .get(this.origin, [])
+      .findIndex(({ id }) => id === this.undoTrashId);
+    this._hideUndoToast();
+    if (index !== -1) {
+      await this._restoreFromTrash(index);
+    }
+  }
+
+  /**
+   * @method _renderTrashView
+   * @description Generates the HTML of the trash tool view: the deletions of the inspected origin,
+   * the latest first, with their keys.
+   * @returns {string} The HTML.
+   * @private
+   */
+  _renderTrashView() {
+    const escape = WebStorageExplorer.escapeHTML;
+    const trash = this.trash.get(this.origin, []);
+    const entries = trash
+      .map(({ action, storageName, deleted, data, attributes }, index) => {
+        const keys = Object.keys(data);
+        const time = new Date(deleted).toLocaleString();
+        // Pages without the Cookie Store API cannot tell the attributes
+        const hasDefaultAttributes =
+          storageName === "cookies" &&
+          keys.some((key) => !(attributes && attributes[key]));
+        const rows = keys
+          .map(
+            (key) => `
+            <tr>
+              <td class="b-trash__key">${escape(key)}</td>
+              <td class="b-trash__value">${escape(data[key])}</td>
+              <td class="b-tool-table__actions">
+                <button class="b-tool-btn" data-tool-action="trash-restore" data-index="${index}"
+                  data-key="${escape(key)}">Restore</button>
+              </td>
+            </tr>`
+          )
+          .join("");
+        return `
+          <h4 class="b-compare__heading">
+            ${action === "clear" ? "Cleared" : "Deleted from"} ${storageName},
+            ${keys.length} ${keys.length === 1 ? "key" : "keys"}, ${time}
+          </h4>
+          <div class="b-tool-view__section">
+            <button class="b-tool-btn" data-tool-action="trash-restore" data-index="${index}">Restore all</button>
+            <button class="b-tool-btn" data-tool-action="trash-discard" data-index="${index}"
+              data-confirm="Discard?">Discard</button>
+            ${
+              hasDefaultAttributes
+                ? `<span class="b-trash__note">The page could not tell the attributes of some cookies,
+                  they are restored on the path "/" without expiry</span>`
+                : ""
+            }
+          </div>
+          <table class="b-tool-table">${rows}</table>`;
+      })
+      .join("");
+
+    return `
+      <div class="b-tool-view__section">
+        Deleted keys are kept until DevTools is closed.
+        ${
+          entries
+            ? `<button class="b-tool-btn" data-tool-action="trash-empty" data-confirm="Empty the trash?">Empty trash</button>`
+            : ""
+        }
+      </div>
+      <div class="b-tool-view__message js-tool-message"></div>
+      ${
+        entries ||
+        `<div class="b-tool-view__empty">The trash is empty.</div>`
+      }
+    `;
+  }
+
+  /**
+   * @method _restoreFromTrash
+   * @description Writes keys of a trash entry back into the storage they were deleted from,
+   * keeping the keys written since, and takes them out of the trash.
+   * @param {number} index - The index of the entry in the trash of the inspected origin.
+   * @param {string} [key] - The key to restore; all keys of the entry by default.
+   * @async
+   * @private
+   */
+  async _restoreFromTrash(index, key) {
+    const trash = this.trash.get(this.origin, []);
+    const entry = trash[index];
+    if (!entry) return;
+
+    const keys = key === undefined ? Object.keys(entry.data) : [key];
+    const items = {};
+    const attributes = {};
+    keys.forEach((name) => {
+      items[name] = entry.data[name];
+      if (entry.attributes && entry.attributes[name]) {
+        attributes[name] = entry.attributes[name];
+      }
+    });
+    await this.storageDriver.setItems(
+      entry.storageName,
+      items,
+      [],
+      attributes
+    );
+
+    keys.forEach((name) => {
+      delete entry.data[name];
+      if (entry.attributes) delete entry.attributes[name];
+    });
+    if (!Object.keys(entry.data).length) {
+      trash.splice(index, 1);
+    }
+    this.trash.set(this.origin, trash);
+
+    if (entry.storageName === this.currentStorageName) {
+      this.clear(true);
+      await this.update();
+    }
+    this._renderToolView();
+    this._showToolMessage(
+      `Restored ${keys.length} ${keys.length === 1 ? "key" : "keys"} into ${
+        entry.storageName
+      }`
+    );
+  }
+
+  /**
+   * @method _discardFromTrash
+   * @description Removes an entry from the trash for good.
+   * @param {number} index - The index of the entry in the trash of the inspected origin.
+   * @private
+   */
+  _discardFromTrash(index) {
+    const trash = this.trash.get(this.origin, []);
+    trash.splice(index, 1);
+    this.trash.set(this.origin, trash);
+    this._renderToolView();
+  }
+
+  /**
+   * @method _renderBulkDeleteView
+   * @description Generates the HTML of the tool view deleting the keys that match a pattern.
+   * @returns {string} The HTML.
+   * @private
+   */
+  _renderBulkDeleteView() {
+    return `
+      <div class="b-tool-view__section">
+        <label class="b-tool-label">Pattern</label>
+        <input type="text" class="b-tool-input js-bulk-pattern" data-tool-change="bulk-preview"
+          placeholder="e.g. cache:*" spellcheck="false">
+        <select class="b-tool-input js-bulk-mode" data-tool-change="bulk-preview">
+          <option value="glob">Glob</option>
+          <option value="regex">Regex</option>
+          <option value="substring">Text</option>
+        </select>
+        <button class="b-tool-btn" data-tool-action="bulk-preview">Preview</button>
+      </div>
+      <div class="b-tool-view__message js-tool-message"></div>
+      <div class="js-bulk-preview"></div>
+    `;
+  }
+
+  /**
+   * @method _getBulkDeleteKeys
+   * @description Lists the keys matching the pattern of the bulk delete tool view.
+   * @returns {string[]} The matching keys, none for an empty pattern.
+   * @throws {SyntaxError} If the pattern is an invalid regular expression.
+   * @private
+   */
+  _getBulkDeleteKeys() {
+    const body = this.el.toolViewBody;
+    const pattern = body.querySelector(".js-bulk-pattern").value;
+    if (!pattern) {
+      return [];
+    }
+    const matches = KeyFilter.createMatcher(
+      pattern,
+      body.querySelector(".js-bulk-mode").value
+    );
+    return this.keyList.filter((key) => matches(key));
+  }
+
+  /**
+   * @method _renderBulkDeletePreview
+   * @description Lists the keys the bulk delete would remove, with the button removing them.
+   * @private
+   */
+  _renderBulkDeletePreview() {
+    const previewEl = this.el.toolViewBody.querySelector(".js-bulk-preview");
+    if (!previewEl) return;
+
+    previewEl.innerHTML = "";
+    const matchingKeys = this._getBulkDeleteKeys();
+    const keys = matchingKeys.filter((key) => !this._isProtectedKey(key));
+    const protectedKeys = matchingKeys.filter((key) =>
+      this._isProtectedKey(key)
+    );
+    const count = `${keys.length} ${keys.length === 1 ? "key" : "keys"}`;
+    this._showToolMessage("");
+    previewEl.innerHTML = `
+      ${
+        keys.length
+          ? `<div class="b-tool-view__section">
+        <button class="b-tool-btn" data-tool-action="bulk-delete" data-confirm="Delete ${count}?">
+          Delete ${count}
+        </button>
+      </div>`
+          : ""
+      }
+      <h4 class="b-compare__heading">Matching keys (${keys.length})</h4>
+      ${this._renderKeyNames(keys)}
+      ${
+        protectedKeys.length
+          ? `<h4 class="b-compare__heading">Protected, kept (${protectedKeys.length})</h4>
+      ${this._renderKeyNames(protectedKeys)}`
+          : ""
+      }`;
+  }
+
+  /**
+   * @method _bulkDelete
+   * @description Removes the keys matching the pattern of the bulk delete tool view in one evaluation.
+   * @async
+   * @private
+   */
+  async _bulkDelete() {
+    const keys = this._getBulkDeleteKeys().filter(
+      (key) => !this._isProtectedKey(key)
+    );
+    if (!keys.length) return;
+
+    await this._deleteKeys(keys);
+    this.clear(true);
+    await this.update();
+    this._renderBulkDeletePreview();
+    this._showToolMessage(
+      `Deleted ${keys.length} ${keys.length === 1 ? "key" : "keys"}`
+    );
+  }
+
+  /**
+   * @method _refreshSizeView
+   * @description Re-renders the size tool view, if it is open, after the storage has changed.
+   * @private
+   */
+  _refreshSizeView() {
+    if (this.toolView === "size") {
+      this._renderToolView();
+    }
+  }
+
+  /**
+   * @method _renderSizeView
+   * @description Generates the HTML of the size tool view: the total size against the per-origin budget,
+   * the heaviest keys and the size by type and by key prefix.
+   * @returns {string} The HTML.
+   * @private
+   */
+  _renderSizeView() {
+    const escape = WebStorageExplorer.escapeHTML;
+    const formatBytes = WebStorageExplorer.formatBytes;
+    const rawStorage = {};
+    this.keyList.forEach((key) => (rawStorage[key] = this.storage.get(key).raw));
+    const analysis = StorageSize.analyze(rawStorage, {
+      getType: (key) => this.storage.get(key).type,
+      getPrefix: (key) => {
+        const [first, ...rest] = KeyTree.splitKey(key, this.keySeparators);
+        return rest.length ? first.name + first.separator : "";
+      },
+      quota: STORAGE_QUOTA,
+      limit: SIZE_TOP_KEYS,
+    });
+    const isWarning = this._isOverSizeWarning(analysis.total);
+    const bar = (percent) =>
+      `<span class="b-size__bar"><span class="b-size__bar-fill ${
+        isWarning ? "b-size__bar-fill_warning" : ""
+      }" style="width: ${Math.min(percent, 100)}%"></span></span>`;
+    const percentCell = (percent) =>
+      `<td class="b-size__percent">${percent.toFixed(1)}% ${bar(percent)}</td>`;
+    const table = (heading, rows) =>
+      rows
+        ? `<h4 class="b-compare__heading">${heading}</h4>
+          <table class="b-tool-table">${rows}</table>`
+        : "";
+
+    const keyRows = analysis.heaviest
+      .map(
+        ({ key, size, percent }) => `
+        <tr>
+          <td><a href="#!" class="b-size__key" data-tool-action="size-show-key"
+            data-key="${escape(key)}">${escape(key)}</a></td>
+          <td>${formatBytes(size)}</td>
+          ${percentCell(percent)}
+        </tr>`
+      )
+      .join("");
+    const groupRows = (groups, getLabel) =>
+      groups
+        .map(
+          ({ name, count, size, percent }) => `
+          <tr>
+            <td>${getLabel(name)}</td>
+            <td>${count} keys</td>
+            <td>${formatBytes(size)}</td>
+            ${percentCell(percent)}
+          </tr>`
+        )
+        .join("");
+    // Without prefixed keys, the breakdown by prefix would be a single row
+    const hasPrefixes = analysis.byPrefix.some(({ name }) => name);
+
+    return `
+      <div class="b-tool-view__section b-compare__summary">
+        <b>${formatBytes(analysis.total)}</b> in ${analysis.count} keys,
+        ${analysis.percent.toFixed(1)}% of the ${formatBytes(
+          STORAGE_QUOTA
+        )} budget per origin
+        ${bar(analysis.percent)}
+      </div>
+      ${
+        isWarning
+          ? `<div class="b-tool-view__message b-tool-view__message_error">
+              Above the warning threshold of ${this.sizeWarning}%, writes may soon fail with QuotaExceededError.
+            </div>`
+          : ""
+      }
+      ${table("Heaviest keys", keyRows)}
+      ${table(
+        "By type",
+        groupRows(analysis.byType, (type) => escape(type))
+      )}
+      ${
+        hasPrefixes
+          ? table(
+              "By prefix",
+              groupRows(analysis.byPrefix, (prefix) =>
+                prefix ? escape(prefix) : "<i>No prefix</i>"
+              )
+            )
+          : ""
+      }
+    `;
+  }
+
+  /**
+   * @method _loadIndexedDB
+   * @description Loads the data of the IndexedDB view from the inspected page and renders it. The chosen
+   * database and object store are kept if they still exist, otherwise the first ones are chosen.
+   * @param {string} level - What to load: 'databases' (everything), 'stores' (the object stores of the chosen
+   * database and their records) or 'records'.
+   * @async
+   * @private
+   */
+  async _loadIndexedDB(level) {
+    const view = this.indexedDBView;
+    const firstName = (items) => (items.length ? items[0].name : "");
+    view.isLoading = true;
+    view.error = "";
+    this._renderToolView();
+
+    try {
+      if (level === "databases") {
+        view.databases = await this.storageDriver.getIndexedDBDatabases();
+        if (!view.databases.some(({ name }) => name === view.database)) {
+          view.database = firstName(view.databases);
+        }
+      }
+      if (level !== "records") {
+        view.stores = view.database
+          ? await this.storageDriver.getIndexedDBStores(view.database)
+          : [];
+        if (!view.stores.some(({ name }) => name === view.store)) {
+          view.store = firstName(view.stores);
+          view.index = "";
+        }
+      }
+      view.result = view.store
+        ? await this.storageDriver.getIndexedDBRecords(
+            view.database,
+            view.store,
+            {
+              index: view.index,
+              range: KeyRange.fromInputs(view.inputs),
+              offset: view.offset,
+              limit: INDEXED_DB_PAGE_SIZE,
+              direction: view.direction,
+            }
+          )
+        : null;
+    } catch (e) {
+      console.error("Cannot read IndexedDB: ", e);
+      view.result = null;
+      view.error = e.value || e.description || e.message || String(e);
+    }
+
+    view.isLoading = false;
+    // The view may have been closed or reopened meanwhile
+    if (this.indexedDBView === view) {
+      this._renderToolView();
+    }
+  }
+
+  /**
+   * @method _updateIndexedDBQuery
+   * @description Changes the query of the IndexedDB view, going back to the first page, and loads it again.
+   * @param {object} changes - The changed state properties, e.g. `{store: 'users'}`.
+   * @param {string} [level='records'] - What to load, see `_loadIndexedDB`.
+   * @async
+   * @private
+   */
+  async _updateIndexedDBQuery(changes, level = "records") {
+    this._readIndexedDBInputs();
+    Object.assign(this.indexedDBView, { offset: 0 }, changes);
+    await this._loadIndexedDB(level);
+  }
+
+  /**
+   * @method _readIndexedDBInputs
+   * @description Stores the key range and direction inputs of the IndexedDB view, so they survive re-rendering.
+   * @private
+   */
+  _readIndexedDBInputs() {
+    const qs = (selector) => this.el.toolViewBody.querySelector(selector);
+    const lower = qs(".js-idb-lower");
+    if (!lower) return;
+
+    this.indexedDBView.inputs = {
+      lower: lower.value,
+      upper: qs(".js-idb-upper").value,
+      lowerOpen: qs(".js-idb-lower-open").checked,
+      upperOpen: qs(".js-idb-upper-open").checked,
+    };
+    this.indexedDBView.direction = qs(".js-idb-direction").value;
+  }
+
+  /**
+   * @method _renderIndexedDBView
+   * @description Generates the HTML of the IndexedDB tool view: pickers for the database, object store and index,
+   * the key range query and a page of records. Values are rendered afterwards by `_renderIndexedDBValues`.
+   * @returns {string} The HTML.
+   * @private
+   */
+  _renderIndexedDBView() {
+    const escape = WebStorageExplorer.escapeHTML;
+    const view = this.indexedDBView;
+    const { inputs, result } = view;
+    const options = (items, selected, getLabel) =>
+      items
+        .map(
+          (item) =>
+            `<option value="${escape(item.name)}" ${
+              item.name === selected ? "selected" : ""
+            }>${escape(getLabel(item))}</option>`
+        )
+        .join("");
+    const store = view.stores.find(({ name }) => name === view.store);
+    const keyPath = (path) =>
+      path === null ? "none" : escape(KeyRange.formatKey(path));
+
+    let message = "";
+    if (view.isLoading) {
+      message = "Loading&hellip;";
+    } else if (view.error) {
+      message = escape(view.error);
+    } else if (!view.databases.length) {
+      message = `There are no databases for ${escape(this.origin)}.`;
+    } else if (!view.stores.length) {
+      message = "This database has no object stores.";
+    }
+
+    let records = "";
+    if (result && store) {
+      const last = view.offset + result.records.length;
+      const range = result.total
+        ? `Records ${view.offset + 1}&ndash;${last} of ${result.total}`
+        : "No records";
+      const rows = result.records
+        .map(
+          ({ key, primaryKey }, index) => `
+          <tr>
+            <td>${view.offset + index + 1}</td>
+            <td>${escape(KeyRange.formatKey(key))}</td>
+            ${
+              view.index
+                ? `<td>${escape(KeyRange.formatKey(primaryKey))}</td>`
+                : ""
+            }
+            <td class="b-idb__value js-idb-value" data-index="${index}"></td>
+          </tr>`
+        )
+        .join("");
+      records = `
+        <div class="b-tool-view__section b-compare__summary">
+          ${range}, key path: ${keyPath(
+            store.keyPath
+          )}${store.autoIncrement ? " (auto increment)" : ""}
+          <button class="b-tool-btn" data-tool-action="idb-page" data-step="-${INDEXED_DB_PAGE_SIZE}"
+            ${view.offset > 0 ? "" : "disabled"}>Previous</button>
+          <button class="b-tool-btn" data-tool-action="idb-page" data-step="${INDEXED_DB_PAGE_SIZE}"
+            ${last < result.total ? "" : "disabled"}>Next</button>
+        </div>
+        ${
+          rows
+            ? `<table class="b-tool-table">
+                <tr><th>#</th><th>Key</th>${
+                  view.index ? "<th>Primary key</th>" : ""
+                }<th>Value</th></tr>
+                ${rows}
+              </table>`
+            : `<div class="b-tool-view__empty">No records in this range.</div>`
+        }`;
+    }
+
+    return `
+      <div class="b-tool-view__section">
+        <label class="b-tool-label">Database</label>
+        <select class="b-tool-input" data-tool-change="idb-database">${options(
+          view.databases,
+          view.database,
+          ({ name, version }) => `${name} (v${version})`
+        )}</select>
+        <button class="b-tool-btn" data-tool-action="idb-refresh">Refresh</button>
+      </div>
+      <div class="b-tool-view__section">
+        <label class="b-tool-label">Store</label>
+        <select class="b-tool-input" data-tool-change="idb-store">${options(
+          view.stores,
+          view.store,
+          ({ name, count }) => `${name} (${count})`
+        )}</select>
+        <select class="b-tool-input" data-tool-change="idb-index">
+          <option value="">Primary key</option>
+          ${options(
+            store ? store.indexes : [],
+            view.index,
+            ({ name, keyPath: path, unique }) =>
+              `Index ${name} (${KeyRange.formatKey(path)}${
+                unique ? ", unique" : ""
+              })`
+          )}
+        </select>
+      </div>
+      <div class="b-tool-view__section">
+        <label class="b-tool-label">Keys</label>
+        <input type="text" class="b-tool-input b-idb__key js-idb-lower" placeholder="From (JSON or text)"
+          value="${escape(inputs.lower)}" spellcheck="false">
+        <label><input type="checkbox" class="js-idb-lower-open" ${
+          inputs.lowerOpen ? "checked" : ""
+        }> exclusive</label>
+        <input type="text" class="b-tool-input b-idb__key js-idb-upper" placeholder="To (JSON or text)"
+          value="${escape(inputs.upper)}" spellcheck="false">
+        <label><input type="checkbox" class="js-idb-upper-open" ${
+          inputs.upperOpen ? "checked" : ""
+        }> exclusive</label>
+        <select class="b-tool-input b-idb__key js-idb-direction">
+          <option value="next">Ascending</option>
+          <option value="prev" ${
+            view.direction === "prev" ? "selected" : ""
+          }>Descending</option>
+        </select>
+        <button class="b-tool-btn" data-tool-action="idb-query">Query</button>
+      </div>
+      <div class="b-tool-view__message ${
+        view.error ? "b-tool-view__message_error" : ""
+      }">${message}</div>
+      ${records}
+    `;
+  }
+
+  /**
+   * @method _renderIndexedDBValues
+   * @description Renders the values of the loaded IndexedDB records with their type icons, objects and arrays
+   * as collapsed JSON trees.
+   * @private
+   */
+  _renderIndexedDBValues() {
+    const { result } = this.indexedDBView;
+    this.el.toolViewBody.querySelectorAll(".js-idb-value").forEach((cell) => {
+      const { value } = result.records[Number(cell.dataset.index)];
+      const type = WebStorageExplorer.guessType(value);
+      const icon = document.createElement("i");
+      icon.className = `fa fa-${ICON_TYPE[type] || "question"} b-idb__icon`;
+      icon.title = type;
+      const content = document.createElement("div");
+      content.className = "b-idb__content";
+      cell.append(icon, content);
+
+      if (type === "object" || type === "array") {
+        $(content).JSONView(value, { collapsed: true });
+      } else {
+        content.textContent = String(value);
+        this._appendAnnotation(content, value);
+      }
+    });
+  }
+
+  /**
+   * @method _getExportScopes
+   * @description Lists the sets of keys that can be exported.
+   * @returns {Array<{value: string, label: string, keys: string[]}>} The export scopes.
+   * @private
+   */
+  _getExportScopes() {
+    const scopes = [
+      {
+        value: "all",
+        label: `All keys (${this.keyList.length})`,
+        keys: this.keyList,
+      },
+    ];
+    const filteredKeys = this._getFilteredKeys();
+    const group =
+      this.exportGroup &&
+      KeyTree.findGroup(
+        this._buildKeyTree(filteredKeys || this.keyList),
+        this.exportGroup
+      );
+    if (group) {
+      scopes.push({
+        value: "group",
+        label: `Group "${group.prefix}" (${group.count})`,
+        keys: KeyTree.collectKeys(group),
+      });
+    }
+    if (this.selectedKeys.size) {
+      scopes.push({
+        value: "selected",
+        label: `Selected keys (${this.selectedKeys.size})`,
+        keys: this._getSelectedKeys(),
+      });
+    }
+    if (this.keyFilter.query && filteredKeys) {
+      scopes.push({
+        value: "filtered",
+        label: `Filtered keys (${filteredKeys.length})`,
+        keys: filteredKeys,
+      });
+    }
+    if (this.lastShownKey && this.storage.has(this.lastShownKey)) {
+      scopes.push({
+        value: "current",
+        label: `Shown key "${this.lastShownKey}"`,
+        keys: [this.lastShownKey],
+      });
+    }
+    return scopes;
+  }
+
+  /**
+   * @method _renderExportView
+   * @description Generates the HTML of the export tool view.
+   * @returns {string} The HTML.
+   * @private
+   */
+  _renderExportView() {
+    const scopeOptions = this._getExportScopes()
+      .map(
+        ({ value, label }) =>
+          `<option value="${value}" ${
+            value === this.exportScope ? "selected" : ""
+          }>${WebStorageExplorer.escapeHTML(label)}</option>`
+      )
+      .join("");
+
+    return `
+      <div class="b-tool-view__section">
+        <label class="b-tool-label">Keys</label>
+        <select class="b-tool-input js-export-scope">${scopeOptions}</select>
+      </div>
+      <div class="b-tool-view__section">
+        <label class="b-tool-label">Format</label>
+        <select class="b-tool-input js-export-format">
+          <option value="raw">JSON of raw strings</option>
+          <option value="parsed">JSON of parsed values</option>
+          <option value="csv">CSV (key, type, length, value)</option>
+          <option value="script">JavaScript setItem snippet</option>
+        </select>
+      </div>
+      <div class="b-tool-view__section">
+        <button class="b-tool-btn" data-tool-action="export-download">Download</button>
+      </div>
+      <div class="b-tool-view__message js-tool-message"></div>
+    `;
+  }
+
+  /**
+   * @method _exportStorage
+   * @description Downloads the keys of the chosen scope in the chosen format.
+   * @private
+   */
+  _exportStorage() {
+    const scope = this.el.toolViewBody.querySelector(".js-export-scope").value;
+    const format = this.el.toolViewBody.querySelector(".js-export-format")
+      .value;
+    const { keys } = this._getExportScopes().find(
+      ({ value }) => value === scope
+    );
+
+    const rawStorage = {};
+    keys.forEach((key) => (rawStorage[key] = this.storage.get(key).raw));
+    const parse = (raw) => this._getExportValue(raw);
+
+    const exporters = {
+      raw: ["json", "application/json", () => StorageIO.toRawJSON(rawStorage)],
+      parsed: [
+        "json",
+        "application/json",
+        () => StorageIO.toParsedJSON(rawStorage, parse),
+      ],
+      csv: [
+        "csv",
+        "text/csv",
+        () =>
+          StorageIO.toCSV(rawStorage, (raw) =>
+            WebStorageExplorer.guessType(parse(raw))
+          ),
+      ],
+      script: [
+        "js",
+        "text/javascript",
+        () => StorageIO.toScript(this.currentStorageName, rawStorage),
+      ],
+    };
+    const [extension, mimeType, serialize] = exporters[format];
+
+    let host = "page";
+    try {
+      host = new URL(this.origin).host || host;
+    } catch (e) {
+      // Opaque origins such as "null" have no host
+    }
+
+    this._downloadFile(
+      `${host}-${this.currentStorageName}.${extension}`,
+      serialize(),
+      mimeType
+    );
+    this._showToolMessage(
+      `Exported ${keys.length} ${keys.length === 1 ? "key" : "keys"}`
+    );
+  }
+
+  /**
+   * @method _getExportValue
+   * @description Parses a raw value for the parsed JSON export, so that importing the file writes the same raw
+   * string again. Nested JSON strings decoded in deep decode mode are encoded back; values that are only
+   * readable through the decoder chain, and JSON strings, are exported raw.
+   * @param {string} raw - The raw value.
+   * @returns {*} The value to export.
+   * @private
+   */
+  _getExportValue(raw) {
+    const { value, decodedPaths, decoderSteps } = this._parseValue(raw);
+    const parsed = decoderSteps.length
+      ? WebStorageExplorer.tryParseJSON(raw)
+      : DeepJSON.encode(value, decodedPaths);
+    // A string would be imported without its JSON quotes
+    return parsed === null || typeof parsed === "string" ? raw : parsed;
+  }
+
+  /**
+   * @method _downloadFile
+   * @description Offers a text as a file download.
+   * @param {string} fileName - The suggested file name.
+   * @param {string} text - The file contents.
+   * @param {string} mimeType - The MIME type of the file.
+   * @private
+   */
+  _downloadFile(fileName, text, mimeType) {
+    const url = URL.createObjectURL(new Blob([text], { type: mimeType }));
+    const link = document.createElement("a");
+    link.href = url;
+    link.download = fileName;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    // Revoking right away may cancel the download before it starts
+    setTimeout(() => URL.revokeObjectURL(url));
+  }
+
+  /**
+   * @method _renderImportView
+   * @description Generates the HTML of the import tool view. A file chosen earlier is forgotten.
+   * @returns {string} The HTML.
+   * @private
+   */
+  _renderImportView() {
+    this.importData = null;
+    return `
+      <div class="b-tool-view__section">
+        <label class="b-tool-label">File</label>
+        <input type="file" accept=".json,application/json" data-tool-change="import-file">
+      </div>
+      <div class="b-tool-view__section">
+        <label class="b-tool-label">Strategy</label>
+        <select class="b-tool-input js-import-strategy" data-tool-change="import-strategy">
+          <option value="merge-overwrite">Merge, overwrite existing keys</option>
+          <option value="merge-keep">Merge, keep existing keys</option>
+          <option value="replace">Replace all keys</option>
+        </select>
+      </div>
+      <div class="b-tool-view__message js-tool-message"></div>
+      <div class="js-import-preview"></div>
+    `;
+  }
+
+  /**
+   * @method _readImportFile
+   * @description Reads and parses the JSON file chosen in the import view, then shows the preview.
+   * @param {HTMLInputElement} input - The file input.
+   * @async
+   * @private
+   */
+  async _readImportFile(input) {
+    this.importData = null;
+    this._renderImportPreview();
+
+    const [file] = input.files;
+    if (!file) return;
+
+    this.importData = {
+      fileName: file.name,
+      data: StorageIO.parseFile(await file.text()),
+    };
+    this._showToolMessage("");
+    this._renderImportPreview();
+  }
+
+  /**
+   * @method _getImportPlan
+   * @description Plans the import of the chosen file into the displayed storage with the chosen strategy.
+   * @returns {{strategy: string, plan: object}} The strategy and the result of `StorageIO.planImport`.
+   * @private
+   */
+  _getImportPlan() {
+    const strategy = this.el.toolViewBody.querySelector(".js-import-strategy")
+      .value;
+    const current = {};
+    this.storage.forEach(({ raw }, key) => (current[key] = raw));
+    return {
+      strategy,
+      plan: StorageIO.planImport(
+        current,
+        this.importData.data,
+        strategy,
+        (key) => this._isProtectedKey(key)
+      ),
+    };
+  }
+
+  /**
+   * @method _renderImportPreview
+   * @description Shows which keys the import will add, overwrite, leave alone and remove.
+   * @private
+   */
+  _renderImportPreview() {
+    const previewEl = this.el.toolViewBody.querySelector(".js-import-preview");
+    if (!previewEl) return;
+    if (!this.importData) {
+      previewEl.innerHTML = "";
+      return;
+    }
+
+    const { strategy, plan } = this._getImportPlan();
+    const sections = [
+      ["Added", plan.added],
+      ["Overwritten", plan.overwritten],
+      ["Left alone", plan.kept],
+      ["Removed", plan.removed],
+    ];
+    if (plan.protected.length) {
+      sections.push(["Protected, kept", plan.protected]);
+    }
+
+    previewEl.innerHTML = `
+      <div class="b-tool-view__section">
+        <button class="b-tool-btn" data-tool-action="import-apply"
+          ${strategy === "replace" ? `data-confirm="Replace ${this.currentStorageName}?"` : ""}>
+          Import ${Object.keys(this.importData.data).length} keys
+        </button>
+      </div>
+      ${sections
+        .map(
+          ([title, keys]) => `
+          <h4 class="b-compare__heading">${title} (${keys.length})</h4>
+          ${this._renderKeyNames(keys)}`
+        )
+        .join("")}
+    `;
+  }
+
+  /**
+   * @method _applyImport
+   * @description Writes the chosen file into the displayed storage according to the chosen strategy.
+   * @async
+   * @private
+   */
+  async _applyImport() {
+    if (!this.importData) return;
+
+    const { plan } = this._getImportPlan();
+    await this.storageDriver.setItems(
+      this.currentStorageName,
+      plan.items,
+      plan.removed
+    );
+
+    const { fileName } = this.importData;
+    this.clear(true);
+    await this.update();
+    this._renderToolView();
+    this._showToolMessage(
+      `Imported "${fileName}": ${plan.added.length} added, ${plan.overwritten.length} overwritten, ${plan.removed.length} removed${this._formatKeptCount(plan.protected.length)}`
+    );
+  }
+
+  /**
+   * @method toggleLiveUpdate
+   * @description Turns the live update mode on or off and remembers the choice.
+   */
+  toggleLiveUpdate() {
+    this.isLiveUpdate = !this.isLiveUpdate;
+    localStorage.setItem("liveUpdate", String(this.isLiveUpdate));
+    this.updateUI();
+
+    if (this.isLiveUpdate) {
+      const rawStorage = {};
+      this.storage.forEach(({ raw }, key) => (rawStorage[key] = raw));
+      this.watcher.start(this.currentStorageName, rawStorage);
+    } else {
+      this.watcher.stop();
+    }
+  }
+
+  /**
+   * @method pauseLiveUpdate
+   * @description Stops polling while the panel is hidden. The next `update()` resumes it.
+   */
+  pauseLiveUpdate() {
+    this.watcher.stop();
+  }
+
+  /**
+   * @method update
+   * @description Triggers a full refresh of the storage data from the inspected page.
+   * @async
+   */
+  async update() {
+    this.loadedByUpdate = true;
+    await this.retrieveStorage(this.currentStorageName);
+  }
+
+  /**
+   * @method toggleNavView
+   * @description Toggles the visibility of the floating navigation sidebar and page overlay.
+   */
+  toggleNavView() {
+    this.el.navBlock.classList.toggle("b-nav_shown");
+    this.el.pageOverlay.classList.toggle("b-page-overlay_hidden");
+    this.isNavFloating = this.el.navBlock.classList.contains("b-nav_shown");
+  }
+
+  /**
+   * @method clear
+   * @description Resets the UI and internal data structures.
+   * @param {boolean} [shouldSaveLastShownKey=false] - If true, the last selected key is preserved for re-selection.
+   */
+  clear(shouldSaveLastShownKey = false) {
+    this.storage.clear();
+    if (!shouldSaveLastShownKey) {
+      this.lastShownKey = "";
+      this.lastShownKeyIndex = -1;
+      this.selectedKeys.clear();
+      this.selectionAnchor = "";
+    }
+    this.el.keyList.innerHTML = "";
+    this.el.keyFilterStatus.textContent = "";
+    this.el.valueView.innerHTML = "";
+    this.el.valueInfo.innerHTML = "";
+    this.el.jsonViewTools.classList.add("b-json-view-tools_hidden");
+    this.el.valueTabs.classList.add("b-value-tabs_hidden");
+    this.el.historyView.classList.add("b-history_hidden");
+    this.el.historyView.innerHTML = "";
+    this._closeEditor();
+  }
+
+  /**
+   * @method showValueForKey
+   * @description Displays the value and metadata for a given storage key.
+   * @param {string} key - The key of the item to display.
+   * @param {boolean} [isEditMode=false] - If true, the raw value is opened in the editor instead of the viewer.
+   * @param {boolean} [isTreeForced=false] - If true, an array of objects is shown as a tree this time,
+   * whatever the table view setting.
+   */
+  showValueForKey(key, isEditMode = false, isTreeForced = false) {
+    const data = this.storage.get(key);
+    if (!data) return;
+
+    const { value, type, decodedPaths } = data;
+    const isRawShown = this.showRawValue && data.decoderSteps.length > 0;
+    this.el.valueView.parentElement.scrollTop = 0;
+    this.el.initialText.style.display = "none";
+    this._closeEditor();
+
+    if (isEditMode) {
+      this.valueTab = "value";
+      this._showValueTabs();
+      this._openEditor(key, data);
+      this.lastShownKey = key;
+      this._showInfoForValue(data);
+      return;
+    }
+
+    this._showValueTabs();
+    const $valueView = $(this.el.valueView); // jQuery needed for plugin
+
+    if (this.valueTab === "history") {
+      this.el.valueView.innerHTML = "";
+      this.el.valueView.classList.remove("b-value-view__with-tools");
+      this.el.jsonViewTools.classList.add("b-json-view-tools_hidden");
+      this._renderHistory(key);
+    } else if (!isRawShown && (type === "object" || type === "array")) {
+      if (this.valueQuery) {
+        const matches = JsonQuery.query(value, this.valueQuery);
+        $valueView.JSONView(
+          matches.map((match) => match.value),
+          { collapsed: false }
+        );
+        this._showValueQueryStatus(
+          `${matches.length} ${matches.length === 1 ? "match" : "matches"}`
+        );
+      } else if (
+        this.isTableView &&
+        !isTreeForced &&
+        RecordTable.isRecordArray(value)
+      ) {
+        this._renderRecordTable(key, value);
+      } else {
+        $valueView.JSONView(value, { collapsed: false });
+        this._annotateJsonView(value);
+        this._markDecodedNodes(decodedPaths);
+      }
+      this._showTableViewButton(value);
+      this.el.valueView.classList.add("b-value-view__with-tools");
+      this.el.jsonViewTools.classList.remove("b-json-view-tools_hidden");
+    } else {
+      $valueView.text(isRawShown ? data.raw : value); // Use .text() to prevent HTML injection
+      if (!isRawShown) {
+        this._appendAnnotation(this.el.valueView, value);
+      }
+      this.el.valueView.classList.remove("b-value-view__with-tools");
+      this.el.jsonViewTools.classList.add("b-json-view-tools_hidden");
+    }
+
+    this.lastShownKey = key;
+    this._rememberLastKey(key);
+    this._showInfoForValue(data);
+  }
+
+  /**
+   * @method _showValueTabs
+   * @description Shows the tabs of the value area, marks the active one and toggles the history view.
+   * @private
+   */
+  _showValueTabs() {
+    this.el.valueTabs.classList.remove("b-value-tabs_hidden");
+    this.el.valueTabs.querySelectorAll("[data-value-tab]").forEach((tab) => {
+      tab.classList.toggle(
+        "b-value-tabs__tab_active",
+        tab.dataset.valueTab === this.valueTab
+      );
+    });
+    this.el.historyView.classList.toggle(
+      "b-history_hidden",
+      this.valueTab !== "history"
+    );
+  }
+
+  /**
+   * @method _renderHistory
+   * @description Renders the recorded versions of a key, newest first, and the diff between
+   * the two versions selected with the A/B radio buttons (by default the previous and the current one).
+   * @param {string} key - The key to show the history for.
+   * @private
+   */
+  _renderHistory(key) {
+    const versions = this.history.getVersions(this.currentStorageName, key);
+    if (versions.length < 2) {
+      this.el.historyView.innerHTML = `
+        <div class="b-history__empty">No changes of this key were recorded in this session yet.</div>
+      `;
+      return;
+    }
+
+    const lastIndex = versions.length - 1;
+    const rows = versions
+      .map(({ time, raw }, index) => {
+        const radio = (name, isChecked) =>
+          `<input type="radio" name="${name}" value="${index}" ${
+            isChecked ? "checked" : ""
+          }>`;
+        return `
+        <tr>
+          <td>${radio("history-a", index === lastIndex - 1)}</td>
+          <td>${radio("history-b", index === lastIndex)}</td>
+          <td>${new Date(time).toLocaleTimeString()}${
+          index === lastIndex ? " (current)" : ""
+        }</td>
+          <td>${raw === null ? "removed" : `${raw.length} chars`}</td>
+        </tr>`;
+      })
+      .reverse()
+      .join("");
+
+    this.el.historyView.innerHTML = `
+      <table class="b-history__table">
+        <tr><th>A</th><th>B</th><th>Time</th><th>Length</th></tr>
+        ${rows}
+      </table>
+      <div class="js-history-diff"></div>
+    `;
+    this._renderHistoryDiff(key);
+  }
+
+  /**
+   * @method _renderHistoryDiff
+   * @description Renders the diff between the two versions selected in the history view.
+   * @param {string} key - The key the history belongs to.
+   * @private
+   */
+  _renderHistoryDiff(key) {
+    const diffEl = this.el.historyView.querySelector(".js-history-diff");
+    if (!diffEl) return;
+
+    const versions = this.history.getVersions(this.currentStorageName, key);
+    const getChecked = (name) =>
+      versions[
+        this.el.historyView.querySelector(`input[name="${name}"]:checked`)
+          .value
+      ];
+    const parse = ({ raw }) =>
+      raw === null ? null : WebStorageExplorer.tryParseJSON(raw) ?? raw;
+
+    diffEl.innerHTML = this._renderDiff(
+      JsonDiff.diff(parse(getChecked("history-a")), parse(getChecked("history-b")))
+    );
+  }
+
+  /**
+   * @method _renderDiff
+   * @description Generates the HTML for a list of diff entries produced by `JsonDiff.diff`.
+   * @param {Array<{type: string, path: Array<string|number>, before: *, after: *}>} entries - The diff entries.
+   * @returns {string} The HTML.
+   * @private
+   */
+  _renderDiff(entries) {
+    if (!entries.length) {
+      return `<div class="b-diff__empty">No differences</div>`;
+    }
+
+    const signs = { added: "+", removed: "-", changed: "~" };
+    const format = (value) =>
+      WebStorageExplorer.escapeHTML(JSON.stringify(value));
+
+    return entries
+      .map(({ type, path, before, after }) => {
+        const values = {
+          added: () => format(after),
+          removed: () => format(before),
+          changed: () => `${format(before)} &rarr; ${format(after)}`,
+        }[type]();
+        return `
+        <div class="b-diff__row b-diff__row_${type}">${signs[type]} <span class="b-diff__path">${WebStorageExplorer.escapeHTML(
+          JsonDiff.formatPath(path) || "(root)"
+        )}</span>: ${values}</div>`;
+      })
+      .join("");
+  }
+
+  /**
+   * @method _annotateJsonView
+   * @description Stores the path of every rendered JSON node in its `data-path` attribute
+   * (a JSON array of property names and indexes), so nodes can be found again after a re-render.
+   * Leaves holding dates, timestamps, colors, etc. get an annotation.
+   * @param {object|Array} value - The value rendered by JSONView.
+   * @private
+   */
+  _annotateJsonView(value) {
+    const walk = (list, node, path) => {
+      const keys = Array.isArray(node)
+        ? node.map((item, index) => index)
+        : Object.keys(node);
+      Array.from(list.children).forEach((item, index) => {
+        const itemPath = path.concat(keys[index]);
+        item.dataset.path = JSON.stringify(itemPath);
+        const childList = item.querySelector(":scope > ul");
+        if (childList) {
+          walk(childList, node[keys[index]], itemPath);
+        } else {
+          this._appendAnnotation(item, node[keys[index]]);
+        }
+      });
+    };
+
+    const rootList = this.el.valueView.querySelector(".jsonview > ul");
+    if (rootList) {
+      walk(rootList, value, []);
+    }
+  }
+
+  /**
+   * @method _describeValue
+   * @description Produces a human-friendly annotation for values of the richer types,
+   * e.g. '3 days ago' for a timestamp or the host of a URL.
+   * @param {*} value - The value.
+   * @param {string} [type] - The type of the value; guessed if omitted.
+   * @returns {{text: string, title: string, color: string}|null} The annotation, with the color to show
+   * in a swatch for CSS colors, or null if there is nothing to add.
+   * @private
+   */
+  _describeValue(value, type = WebStorageExplorer.guessType(value)) {
+    if (type === "timestamp" || type === "date") {
+      const time = WebStorageExplorer.toTime(value, type);
+      return {
+        text: ValueDecoder.formatRelativeTime(time),
+        title: new Date(time).toISOString(),
+        color: "",
+      };
+    }
+    if (type === "color") {
+      return { text: "", title: value, color: value };
+    }
+    if (type === "uuid") {
+      return { text: `UUID v${value[14]}`, title: "", color: "" };
+    }
+    if (type === "url") {
+      try {
+        return { text: new URL(value).host, title: value, color: "" };
+      } catch (e) {
+        return null;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * @method _appendAnnotation
+   * @description Appends the annotation of a value (see `_describeValue`) to an element of the value view.
+   * @param {HTMLElement} element - The element showing the value.
+   * @param {*} value - The value.
+   * @private
+   */
+  _appendAnnotation(element, value) {
+    const description = this._describeValue(value);
+    if (!description) return;
+
+    const annotation = document.createElement("span");
+    annotation.className = "b-value-view__annotation";
+    annotation.textContent = description.text;
+    annotation.title = description.title;
+    if (description.color) {
+      const swatch = document.createElement("span");
+      swatch.className = "b-color-swatch";
+      swatch.style.backgroundColor = description.color;
+      annotation.prepend(swatch);
+    }
+    element.append(annotation);
+  }
+
+  /**
+   * @method toggleTableView
+   * @description Switches between the table and the tree view of arrays of objects, and remembers the choice.
+   */
+  toggleTableView() {
+    this.isTableView = !this._isRecordTableShown();
+    localStorage.setItem("tableView", String(this.isTableView));
+    if (this.lastShownKey) {
+      this.showValueForKey(this.lastShownKey);
+    }
+  }
+
+  /**
+   * @method _showTableViewButton
+   * @description Offers the table view for arrays of objects, labelled with the view it switches to.
+   * @param {*} value - The shown value.
+   * @private
+   */
+  _showTableViewButton(value) {
+    const isAvailable = !this.valueQuery && RecordTable.isRecordArray(value);
+    this.el.tableViewBtn.classList.toggle(
+      "b-json-view-tools__item_hidden",
+      !isAvailable
+    );
+    const isTableShown = this._isRecordTableShown();
+    this.el.tableViewBtn.textContent = isTableShown ? "Tree" : "Table";
+    this.el.tableViewBtn.title = isTableShown
+      ? "Show the array as a tree"
+      : "Show the array as a table";
+  }
+
+  /**
+   * @method _isRecordTableShown
+   * @description Tells whether the value view shows a table. A row opened in the tree shows the tree,
+   * although the table view setting is on.
+   * @returns {boolean} True if the table is shown.
+   * @private
+   */
+  _isRecordTableShown() {
+    return this.el.valueView.querySelector(".b-record-table") !== null;
+  }
+
+  /**
+   * @method _renderRecordTable
+   * @description Renders an array of objects as a table with a row filter and a checkbox per column.
+   * The filter, sort and hidden columns are kept while the same key is shown.
+   * @param {string} key - The shown key.
+   * @param {object[]} records - The array of objects.
+   * @private
+   */
+  _renderRecordTable(key, records) {
+    if (this.tableState.key !== key) {
+      this.tableState = {
+        key,
+        filter: "",
+        sortColumn: "",
+        sortDirection: 1,
+        hiddenColumns: [],
+      };
+    }
+
+    const escape = WebStorageExplorer.escapeHTML;
+    const columnToggles = RecordTable.getColumns(records)
+      .map(
+        (column) => `
+        <label class="b-record-table__column-toggle">
+          <input type="checkbox" class="js-table-column" data-column="${escape(column)}"
+            ${this.tableState.hiddenColumns.includes(column) ? "" : "checked"}> ${escape(column)}
+        </label>`
+      )
+      .join("");
+
+    // The value view is a <pre>, the table resets the white-space of its markup
+    this.el.valueView.innerHTML = `<div class="b-record-table">
+        <div class="b-record-table__toolbar">
+          <input type="search" class="b-tool-input js-table-filter" placeholder="Filter rows"
+            spellcheck="false" value="${escape(this.tableState.filter)}">
+          <span class="b-record-table__count js-table-count"></span>
+        </div>
+        <div class="b-record-table__columns">${columnToggles}</div>
+        <div class="js-record-table"></div>
+      </div>`.trim();
+    this._renderRecordTableRows();
+  }
+
+  /**
+   * @method _renderRecordTableRows
+   * @description Renders the header and the rows of the table view for the current filter, sort and columns.
+   * At most `TABLE_ROWS_LIMIT` rows are rendered.
+   * @private
+   */
+  _renderRecordTableRows() {
+    const tableEl = this.el.valueView.querySelector(".js-record-table");
+    const data = this.storage.get(this.tableState.key);
+    if (!tableEl || !data) return;
+
+    const escape = WebStorageExplorer.escapeHTML;
+    const records = data.value;
+    const { filter, sortColumn, sortDirection, hiddenColumns } =
+      this.tableState;
+    const columns = RecordTable.getColumns(records).filter(
+      (column) => !hiddenColumns.includes(column)
+    );
+    const rows = RecordTable.getRows(records, {
+      columns,
+      filter,
+      sortColumn,
+      sortDirection,
+    });
+
+    const headers = columns
+      .map((column) => {
+        const arrow =
+          column === sortColumn
+            ? ` <i class="fa fa-caret-${sortDirection > 0 ? "up" : "down"}"></i>`
+            : "";
+        return `<th class="b-record-table__header js-table-sort" data-column="${escape(
+          column
+        )}" title="Sort by ${escape(column)}">${escape(column)}${arrow}</th>`;
+      })
+      .join("");
+    const body = rows
+      .slice(0, TABLE_ROWS_LIMIT)
+      .map((index) => {
+        const cells = columns
+          .map((column) => {
+            const text = escape(
+              RecordTable.formatCell(records[index][column])
+            );
+            return `<td class="b-record-table__cell" title="${text}">${text}</td>`;
+          })
+          .join("");
+        return `
+          <tr class="b-record-table__row js-table-row" data-index="${index}" title="Show in the tree view">
+            <td class="b-record-table__index">${index}</td>${cells}
+          </tr>`;
+      })
+      .join("");
+
+    tableEl.innerHTML = `
+      <table class="b-tool-table b-record-table__table">
+        <tr><th class="b-record-table__index">#</th>${headers}</tr>
+        ${body}
+      </table>`;
+    this.el.valueView.querySelector(".js-table-count").textContent =
+      rows.length > TABLE_ROWS_LIMIT
+        ? `Showing ${TABLE_ROWS_LIMIT} of ${rows.length} rows`
+        : `${rows.length} of ${records.length} rows`;
+  }
+
+  /**
+   * @method _sortRecordTable
+   * @description Sorts the table view by a column; sorting by the same column again reverses the order.
+   * @param {string} column - The column.
+   * @private
+   */
+  _sortRecordTable(column) {
+    const { sortColumn, sortDirection } = this.tableState;
+    this.tableState.sortDirection = column === sortColumn ? -sortDirection : 1;
+    this.tableState.sortColumn = column;
+    this._renderRecordTableRows();
+  }
+
+  /**
+   * @method _showRecordInTree
+   * @description Shows the array as a tree once, with the other elements collapsed, and scrolls to the
+   * element of a table row. The table view setting is left on.
+   * @param {number} index - The index of the element in the array.
+   * @private
+   */
+  _showRecordInTree(index) {
+    this.showValueForKey(this.lastShownKey, false, true);
+
+    const path = JSON.stringify([index]);
+    const rootList = this.el.valueView.querySelector(".jsonview > ul");
+    if (!rootList) return;
+
+    let item = null;
+    Array.from(rootList.children).forEach((child) => {
+      const collapser = child.querySelector(":scope > .collapser");
+      if (child.dataset.path === path) {
+        item = child;
+      } else if (collapser && collapser.textContent === "-") {
+        collapser.click();
+      }
+    });
+    if (item) {
+      item.classList.add("b-value-view__focused");
+      item.scrollIntoView({ block: "start" });
+    }
+  }
+
+  /**
+   * @method runValueQuery
+   * @description Applies a JSONPath query to the shown value, or to the values of every key, and remembers it
+   * in the query history. The query stays applied to the values shown next, until an empty query clears it.
+   * @param {string} expression - The JSONPath expression; an empty one shows the whole value again.
+   * @param {boolean} [isAllKeys=false] - If true, the query runs on every key and the matches are shown by key.
+   */
+  runValueQuery(expression, isAllKeys = false) {
+    const query = expression.trim();
+    try {
+      JsonQuery.parse(query);
+    } catch (e) {
+      this._showValueQueryStatus(e.message, true);
+      return;
+    }
+
+    this.valueQuery = query;
+    this.el.valueQueryInput.value = query;
+    this._showValueQueryStatus("");
+    if (query) {
+      this._addToValueQueryHistory(query);
+    }
+    if (isAllKeys && query) {
+      this._showValueQueryForAllKeys();
+    } else if (this.lastShownKey) {
+      this.showValueForKey(this.lastShownKey);
+    }
+  }
+
+  /**
+   * @method _showValueQueryForAllKeys
+   * @description Shows the matches of the value query in every key holding an object or an array,
+   * as an object of the matching values by key.
+   * @private
+   */
+  _showValueQueryForAllKeys() {
+    const results = {};
+    let count = 0;
+    this.keyList.forEach((key) => {
+      const { value, type } = this.storage.get(key);
+      if (type !== "object" && type !== "array") return;
+
+      const matches = JsonQuery.query(value, this.valueQuery);
+      if (matches.length) {
+        results[key] = matches.map((match) => match.value);
+        count += matches.length;
+      }
+    });
+
+    $(this.el.valueView).JSONView(results, { collapsed: false });
+    this.el.valueInfo.innerHTML = `
+      <span class="b-value-info__property">Query: <b>${WebStorageExplorer.escapeHTML(
+        this.valueQuery
+      )}</b></span>
+      <span class="b-value-info__property">Keys: <b>${
+        Object.keys(results).length
+      }</b></span>`;
+    this._showValueQueryStatus(
+      `${count} ${count === 1 ? "match" : "matches"} in all keys`
+    );
+  }
+
+  /**
+   * @method _showValueQueryStatus
+   * @description Shows the number of matches or an error next to the query input.
+   * @param {string} message - The message; an empty one hides the status.
+   * @param {boolean} [isError=false] - If true, the message is styled as an error.
+   * @private
+   */
+  _showValueQueryStatus(message, isError = false) {
+    this.el.valueQueryStatus.textContent = message;
+    this.el.valueQueryStatus.title = message;
+    this.el.valueQueryStatus.classList.toggle(
+      "b-value-query__status_error",
+      isError
     );
   }
 
   /**
-   * @method _createConstants
-   * @description Calculates and stores layout-related constants to avoid re-computation.
+   * @method _addToValueQueryHistory
+   * @description Puts a query at the top of the query history and saves it.
+   * @param {string} query - The query.
+   * @private
+   */
+  _addToValueQueryHistory(query) {
+    this.valueQueryHistory = [query]
+      .concat(this.valueQueryHistory.filter((item) => item !== query))
+      .slice(0, QUERY_HISTORY_LIMIT);
+    localStorage.setItem("valueQueries", JSON.stringify(this.valueQueryHistory));
+    this._renderValueQueryHistory();
+  }
+
+  /**
+   * @method _renderValueQueryHistory
+   * @description Offers the recent queries as suggestions of the query input.
+   * @private
+   */
+  _renderValueQueryHistory() {
+    this.el.valueQueryHistory.innerHTML = this.valueQueryHistory
+      .map(
+        (query) =>
+          `<option value="${WebStorageExplorer.escapeHTML(query)}"></option>`
+      )
+      .join("");
+  }
+
+  /**
+   * @method _markDecodedNodes
+   * @description Marks the nodes of the JSON view that were decoded from nested JSON strings.
+   * @param {Array<Array<string|number>>} paths - The paths of the decoded strings.
+   * @private
+   */
+  _markDecodedNodes(paths) {
+    paths.forEach((path) => {
+      const item = this.el.valueView.querySelector(
+        `li[data-path="${CSS.escape(JSON.stringify(path))}"]`
+      );
+      if (item) {
+        item.classList.add("b-value-view__decoded");
+        item.title = "Decoded from a JSON string";
+      }
+    });
+  }
+
+  /**
+   * @method _getCollapsedPaths
+   * @description Collects the paths of the collapsed nodes of the JSON view.
+   * @returns {string[]} The `data-path` values of the collapsed nodes.
+   * @private
+   */
+  _getCollapsedPaths() {
+    return Array.from(
+      this.el.valueView.querySelectorAll(".jsonview li > .collapser")
+    )
+      .filter((collapser) => collapser.textContent === "+")
+      .map((collapser) => collapser.parentElement.dataset.path);
+  }
+
+  /**
+   * @method _restoreCollapsedPaths
+   * @description Collapses the nodes of a freshly rendered (fully expanded) JSON view that were collapsed before.
+   * @param {string[]} paths - The paths returned by `_getCollapsedPaths`.
+   * @private
+   */
+  _restoreCollapsedPaths(paths) {
+    const collapsedPaths = new Set(paths);
+    this.el.valueView
+      .querySelectorAll(".jsonview li > .collapser")
+      .forEach((collapser) => {
+        if (collapsedPaths.has(collapser.parentElement.dataset.path)) {
+          collapser.click();
+        }
+      });
+  }
+
+  /**
+   * @method _openEditor
+   * @description Opens the raw value of a key in the editor. Values parsed as objects or arrays are pretty-printed.
+   * @param {string} key - The key being edited.
+   * @param {{value: any, raw: string, type: string}} data - The storage entry for the key.
    * @private
    */
-  _createConstants() {
-    this.constants.footerHeight = this.el.footer.offsetHeight;
-    this.constants.storageSelectHeight = this.el.selectStorage.offsetHeight;
-    Object.freeze(this.constants);
+  _openEditor(key, data) {
+    // Values decoded by the decoder chain are edited as stored
+    const isJSON =
+      (data.type === "object" || data.type === "array") &&
+      !data.decoderSteps.length;
+    this.editingKey = key;
+    this.el.valueView.innerHTML = "";
+    this.el.jsonViewTools.classList.add("b-json-view-tools_hidden");
+    this.el.valueEditor.classList.remove("b-value-editor_hidden");
+    this.el.editorTextarea.value = isJSON
+      ? JSON.stringify(data.value, null, 2)
+      : data.raw;
+    this._fillCookieAttributes(key);
+    this.el.editorTextarea.focus();
   }
 
   /**
-   * @method updateUI
-   * @description Syncs the UI state with the application's current state.
+   * @method _fillCookieAttributes
+   * @description Shows the cookie attribute fields of the editor when editing cookies, filled with the attributes
+   * of the edited cookie. When the page cannot tell them, the fields are left empty and the editor says so.
+   * @param {string} key - The name of the edited cookie.
+   * @private
+   * @async
    */
-  updateUI() {
-    this.el.selectStorage.value = this.currentStorageName;
+  async _fillCookieAttributes(key) {
+    const isCookie = this.currentStorageName === "cookies";
+    this.el.editorCookie.classList.toggle(
+      "b-value-editor__cookie_hidden",
+      !isCookie
+    );
+    this._setCookieAttributes(null);
+    if (!isCookie) return;
+
+    this.el.cookieNote.textContent = "Reading the cookie attributes…";
+    const cookies = await this.storageDriver
+      .getCookieAttributes()
+      .catch(() => null);
+    const attributes = (cookies && cookies[key]) || null;
+    if (this.editingKey !== key) return;
+
+    this._setCookieAttributes(attributes);
+    this.el.cookieNote.textContent = attributes
+      ? ""
+      : "The page cannot tell the attributes of this cookie, enter the ones it was set with. " +
+        "Saving with another path or domain creates a second cookie.";
   }
 
   /**
-   * @method update
-   * @description Triggers a full refresh of the storage data from the inspected page.
-   * @async
+   * @method _setCookieAttributes
+   * @description Fills the cookie attribute fields of the editor.
+   * @param {{path: string, domain: string, expires: (number|null), sameSite: string, secure: boolean}|null} attributes
+   * - The attributes, or null to empty the fields.
+   * @private
    */
-  async update() {
-    this.loadedByUpdate = true;
-    await this.retrieveStorage(this.currentStorageName);
+  _setCookieAttributes(attributes) {
+    const {
+      path = "",
+      domain = "",
+      expires = null,
+      sameSite = "",
+      secure = false,
+    } = attributes || {};
+    // The date input takes the local time without a time zone
+    const offset = expires ? new Date(expires).getTimezoneOffset() * 60000 : 0;
+    this.el.cookiePath.value = path;
+    this.el.cookieDomain.value = domain;
+    this.el.cookieExpires.value = expires
+      ? new Date(expires - offset).toISOString().slice(0, 16)
+      : "";
+    this.el.cookieSameSite.value = sameSite;
+    this.el.cookieSecure.checked = secure;
+    this.el.cookieNote.textContent = "";
   }
 
   /**
-   * @method toggleNavView
-   * @description Toggles the visibility of the floating navigation sidebar and page overlay.
+   * @method _getCookieAttributes
+   * @description Reads the cookie attribute fields of the editor.
+   * @returns {{path: string, domain: string, expires: (number|null), sameSite: string, secure: boolean}|undefined}
+   * The attributes, or undefined unless cookies are edited.
+   * @private
    */
-  toggleNavView() {
-    this.el.navBlock.classList.toggle("b-nav_shown");
-    this.el.pageOverlay.classList.toggle("b-page-overlay_hidden");
-    this.isNavFloating = this.el.navBlock.classList.contains("b-nav_shown");
+  _getCookieAttributes() {
+    if (this.currentStorageName !== "cookies") return undefined;
+
+    const expires = this.el.cookieExpires.value;
+    return {
+      path: this.el.cookiePath.value.trim() || "/",
+      domain: this.el.cookieDomain.value.trim(),
+      expires: expires ? new Date(expires).getTime() : null,
+      sameSite: this.el.cookieSameSite.value,
+      secure: this.el.cookieSecure.checked,
+    };
   }
 
   /**
-   * @method clear
-   * @description Resets the UI and internal data structures.
-   * @param {boolean} [shouldSaveLastShownKey=false] - If true, the last selected key is preserved for re-selection.
+   * @method _closeEditor
+   * @description Hides the editor and resets its state.
+   * @private
    */
-  clear(shouldSaveLastShownKey = false) {
-    this.storage.clear();
-    if (!shouldSaveLastShownKey) {
-      this.lastShownKey = "";
-      this.lastShownKeyIndex = -1;
-    }
-    this.el.keyList.innerHTML = "";
-    this.el.valueView.innerHTML = "";
-    this.el.valueInfo.innerHTML = "";
-    this.el.jsonViewTools.classList.add("b-json-view-tools_hidden");
+  _closeEditor() {
+    this.editingKey = "";
+    this.el.valueEditor.classList.add("b-value-editor_hidden");
+    this.el.editorTextarea.value = "";
+    this._showEditorError("");
   }
 
   /**
-   * @method showValueForKey
-   * @description Displays the value and metadata for a given storage key.
-   * @param {string} key - The key of the item to display.
+   * @method _showEditorError
+   * @description Shows an error message in the editor. An empty message hides the error
+   * together with the "Save as plain string" button.
+   * @param {string} message - The message to display.
+   * @param {boolean} [canSaveAsString=false] - If true, offers to save the value as a plain string.
+   * @private
+   */
+  _showEditorError(message, canSaveAsString = false) {
+    this.el.editorError.textContent = message;
+    this.el.editorSaveStringBtn.classList.toggle(
+      "b-value-editor__save-string_hidden",
+      !canSaveAsString
+    );
+  }
+
+  /**
+   * @method _saveEditedValue
+   * @description Validates the edited value and writes it back to the inspected page's storage.
+   * Values that were parsed as objects or arrays must remain valid JSON unless saved as a plain string.
+   * @param {boolean} [asPlainString=false] - If true, the text is written as-is without JSON validation.
+   * @async
+   * @private
    */
-  showValueForKey(key) {
+  async _saveEditedValue(asPlainString = false) {
+    const key = this.editingKey;
     const data = this.storage.get(key);
     if (!data) return;
 
-    const { value, type, len } = data;
-    this.el.valueView.parentElement.scrollTop = 0;
-    this.el.initialText.style.display = "none";
+    let newValue = this.el.editorTextarea.value;
+    // Values decoded by the decoder chain are edited as stored
+    const isJSON =
+      (data.type === "object" || data.type === "array") &&
+      !data.decoderSteps.length;
 
-    const $valueView = $(this.el.valueView); // jQuery needed for plugin
+    if (isJSON && !asPlainString) {
+      try {
+        const parsed = JSON.parse(newValue);
+        const isCompact = !/[\r\n]/.test(data.raw);
+        if (data.decodedPaths.length) {
+          // Decoded strings are stored as JSON strings again, at their original nesting level
+          newValue = JSON.stringify(
+            DeepJSON.encode(parsed, data.decodedPaths),
+            null,
+            isCompact ? undefined : 2
+          );
+        } else if (isCompact) {
+          // Keep compact values compact, the editor only pretty-prints them for readability
+          newValue = JSON.stringify(parsed);
+        }
+      } catch (err) {
+        this._showEditorError(`Invalid JSON: ${err.message}`, true);
+        return;
+      }
+    }
 
-    if (type === "object" || type === "array") {
-      $valueView.JSONView(value, { collapsed: false });
-      this.el.valueView.classList.add("b-value-view__with-tools");
-      this.el.jsonViewTools.classList.remove("b-json-view-tools_hidden");
-    } else {
-      $valueView.text(value); // Use .text() to prevent HTML injection
-      this.el.valueView.classList.remove("b-value-view__with-tools");
-      this.el.jsonViewTools.classList.add("b-json-view-tools_hidden");
+    try {
+      await this.storageDriver.setItem(
+        this.currentStorageName,
+        key,
+        newValue,
+        this._getCookieAttributes()
+      );
+    } catch (e) {
+      this._showEditorError(`Cannot save value: ${e.value || e.description || e}`);
+      return;
     }
 
     this.lastShownKey = key;
-    this._showInfoForValue(type, len);
+    this.clear(true);
+    await this.update();
+  }
+
+  /**
+   * @method _openKeyForm
+   * @description Opens the key form above the key list for creating, duplicating or renaming a key.
+   * Duplicating and renaming require a selected key.
+   * @param {string} action - The key action ('new', 'duplicate' or 'rename').
+   * @private
+   */
+  _openKeyForm(action) {
+    const key = this.lastShownKey;
+    const titles = {
+      new: "New key",
+      duplicate: `Duplicate "${key}" as`,
+      rename: `Rename "${key}" to`,
+    };
+    if (!titles[action] || (action !== "new" && !key)) return;
+
+    this.keyFormAction = action;
+    this.el.keyFormTitle.textContent = titles[action];
+    this.el.keyFormTitle.title = titles[action];
+    this.el.keyFormInput.value = {
+      new: "",
+      duplicate: `${key}_copy`,
+      rename: key,
+    }[action];
+    this._setKeyFormError("");
+    this.el.keyForm.classList.remove("b-key-form_hidden");
+    this.el.keyFormInput.focus();
+    this.el.keyFormInput.select();
+    this._updateFooterPosition();
+  }
+
+  /**
+   * @method _closeKeyForm
+   * @description Hides the key form and resets its state.
+   * @private
+   */
+  _closeKeyForm() {
+    this.keyFormAction = "";
+    this._setKeyFormError("");
+    this.el.keyForm.classList.add("b-key-form_hidden");
+    this._updateFooterPosition();
+  }
+
+  /**
+   * @method _setKeyFormError
+   * @description Shows an error in the key form. Any error resets the pending overwrite confirmation.
+   * @param {string} message - The message to display, or an empty string to hide the error.
+   * @param {boolean} [askOverwrite=false] - If true, the next submit overwrites the existing key.
+   * @private
+   */
+  _setKeyFormError(message, askOverwrite = false) {
+    this.keyFormOverwrite = askOverwrite;
+    this.el.keyFormError.textContent = message;
+    this.el.keyFormSubmit.textContent = askOverwrite ? "Overwrite" : "OK";
+  }
+
+  /**
+   * @method _submitKeyForm
+   * @description Applies the key form action through the storage driver. If the target key already exists,
+   * the user has to submit again to overwrite it. The selection follows the new key after the reload.
+   * @async
+   * @private
+   */
+  async _submitKeyForm() {
+    const action = this.keyFormAction;
+    const sourceKey = this.lastShownKey;
+    const targetKey = this.el.keyFormInput.value;
+    const overwrite = this.keyFormOverwrite;
+
+    if (!targetKey) {
+      this._setKeyFormError("Key name cannot be empty");
+      return;
+    }
+    if (action === "rename" && targetKey === sourceKey) {
+      this._closeKeyForm();
+      return;
+    }
+
+    let isDone;
+    try {
+      if (action === "new") {
+        isDone = await this.storageDriver.createKey(
+          this.currentStorageName,
+          targetKey,
+          "",
+          overwrite
+        );
+      } else if (action === "duplicate") {
+        isDone = await this.storageDriver.duplicateKey(
+          this.currentStorageName,
+          sourceKey,
+          targetKey,
+          overwrite
+        );
+      } else {
+        isDone = await this.storageDriver.renameKey(
+          this.currentStorageName,
+          sourceKey,
+          targetKey,
+          overwrite
+        );
+      }
+    } catch (e) {
+      this._setKeyFormError(`Failed: ${e.value || e.description || e}`);
+      return;
+    }
+
+    if (!isDone) {
+      this._setKeyFormError(`Key "${targetKey}" already exists`, true);
+      return;
+    }
+
+    this._closeKeyForm();
+    this.lastShownKey = targetKey;
+    this.clear(true);
+    await this.update();
+
+    // A new key has no value yet, so go straight to editing it
+    if (action === "new") {
+      this.showValueForKey(targetKey, true);
+    }
   }
 
   /**
    * @method _showInfoForValue
-   * @description Displays metadata (type and length) for the currently shown value.
-   * @param {string} type - The data type of the value.
-   * @param {number} len - The length of the raw string value.
+   * @description Displays metadata for the currently shown value: type, length, an annotation such as
+   * the relative time of a timestamp, decoded nested JSON strings,
+   * the steps of the decoder chain with a raw/decoded toggle and, for JWTs, the token times.
+   * @param {{value: any, len: number, type: string, decodedPaths: Array<Array<string|number>>, decoderSteps: string[]}} data
+   * - The storage entry of the value.
    * @private
    */
-  _showInfoForValue(type, len) {
-    this.el.valueInfo.innerHTML = `
-      <span class="b-value-info__property">Type: <b>${type}</b></span>
-      <span class="b-value-info__property">Length: <b>${len}</b></span>
-    `;
+  _showInfoForValue({ value, type, len, decodedPaths, decoderSteps }) {
+    const properties = [
+      `<span class="b-value-info__property">Type: <b>${type}</b></span>`,
+      `<span class="b-value-info__property">Length: <b>${len}</b></span>`,
+    ];
+
+    const description = this._describeValue(value, type);
+    if (description) {
+      const swatch = description.color
+        ? `<span class="b-color-swatch" style="background-color: ${description.color}"></span>`
+        : "";
+      const text = description.text
+        ? `<b>${WebStorageExplorer.escapeHTML(description.text)}</b>`
+        : "";
+      properties.push(
+        `<span class="b-value-info__property" title="${WebStorageExplorer.escapeHTML(
+          description.title
+        )}">${swatch}${text}</span>`
+      );
+    }
+
+    // A string encoded several times has its path listed once per level
+    const decodedCount = new Set(decodedPaths.map((path) => JSON.stringify(path)))
+      .size;
+    if (decodedCount) {
+      properties.push(
+        `<span class="b-value-info__property" title="Nested JSON strings shown decoded">Decoded: <b>${decodedCount}</b></span>`
+      );
+    }
+
+    if (decoderSteps.length) {
+      properties.push(`
+        <span class="b-value-info__property">
+          <span class="b-value-info__badge" title="Decoding steps">${WebStorageExplorer.escapeHTML(
+            decoderSteps.join(" \u2192 ")
+          )}</span>
+          <a href="#" class="b-value-info__toggle js-toggle-decoded">${
+            this.showRawValue ? "Show decoded" : "Show raw"
+          }</a>
+        </span>`);
+    }
+
+    // The token may have been wrapped, e.g. URL-encoded, so "jwt" is not always the first step.
+    // Decoding ends with the token parts, so the decoded value holds the payload.
+    if (decoderSteps.includes("jwt") && !this.showRawValue) {
+      const labels = { exp: "Expires", iat: "Issued", nbf: "Not before" };
+      ValueDecoder.getJwtTimes(value.payload).forEach(
+        ({ claim, time, relative, isPast }) => {
+          const isExpired = claim === "exp" && isPast;
+          properties.push(
+            `<span class="b-value-info__property ${
+              isExpired ? "b-value-info__property_warning" : ""
+            }" title="${new Date(time).toLocaleString()}">${
+              isExpired ? "Expired" : labels[claim]
+            }: <b>${relative}</b></span>`
+          );
+        }
+      );
+    }
+
+    this.el.valueInfo.innerHTML = properties.join("");
   }
 
   /**
    * @method _checkForLastKey
-   * @description After a data refresh, attempts to re-select the previously viewed key.
+   * @description After a data refresh, attempts to re-select the previously viewed key. When no key is shown then,
+   * e.g. after the panel was reopened, the key last viewed in the displayed storage of the origin is shown.
    * @private
    */
   _checkForLastKey() {
@@ -461,6 +4306,21 @@ class WebStorageExplorer {
         this._tryToSelectNextKey();
       }
     }
+    this._showRememberedKey();
+  }
+
+  /**
+   * @method _showRememberedKey
+   * @description Shows the key last viewed in the displayed storage of the origin, unless another key is shown
+   * or the key does not exist (yet).
+   * @private
+   */
+  _showRememberedKey() {
+    const key = this.lastKeys.get(this.origin, {})[this.currentStorageName];
+    if (this.lastShownKey || !key || !this.storage.has(key)) return;
+
+    this.lastShownKey = key;
+    this._tryToShowLastKey();
   }
 
   /**
@@ -470,8 +4330,9 @@ class WebStorageExplorer {
    */
   _tryToShowLastKey() {
     this.showValueForKey(this.lastShownKey);
+    this.lastShownKeyIndex = this.keyList.indexOf(this.lastShownKey);
     const link = this.el.keyList.querySelector(
-      `.js-select-key[data-key="${this.lastShownKey}"]`
+      `.js-select-key[data-key="${CSS.escape(this.lastShownKey)}"]`
     );
     if (link) {
       link.classList.add("b-keys-menu__link_active");
@@ -493,7 +4354,7 @@ class WebStorageExplorer {
       if (key) {
         this.showValueForKey(key);
         const link = this.el.keyList.querySelector(
-          `.js-select-key[data-key="${key}"]`
+          `.js-select-key[data-key="${CSS.escape(key)}"]`
         );
         if (link) {
           link.classList.add("b-keys-menu__link_active");
@@ -529,36 +4390,281 @@ class WebStorageExplorer {
    * @private
    */
   _updateFooterPosition() {
+    // The offset accounts for everything above the list (storage selector, toolbar, key form)
+    const list = this.search ? this.el.searchResults : this.el.keyList;
     const isOverflowing =
-      this.el.keyList.offsetHeight >=
-      window.innerHeight -
-        this.constants.footerHeight -
-        this.constants.storageSelectHeight;
+      list.offsetTop + list.offsetHeight >=
+      window.innerHeight - this.constants.footerHeight;
     this.el.footer.classList.toggle("b-nav-footer_no-bottom", isOverflowing);
   }
 
   /**
    * @method handleSearch
-   * @description Uses mark.js to highlight or clear search terms in the value view.
-   * @param {string} action - The search action to perform ('performSearch' or other).
-   * @param {string} keyword - The keyword to search for.
+   * @description Handles the DevTools search bar: searches all keys and values, moves between the results
+   * and closes the search.
+   * @param {string} action - The search action ('performSearch', 'nextSearchResult', 'prevSearchResult' or 'cancelSearch').
+   * @param {string} [keyword] - The keyword to search for.
    */
   handleSearch(action, keyword) {
+    switch (action) {
+      case "performSearch":
+        if (keyword) {
+          this._performSearch(keyword);
+        } else {
+          this._cancelSearch();
+        }
+        break;
+      case "nextSearchResult":
+        this._moveSearchResult(1);
+        break;
+      case "prevSearchResult":
+        this._moveSearchResult(-1);
+        break;
+      case "cancelSearch":
+        this._cancelSearch();
+        break;
+    }
+  }
+
+  /**
+   * @method _performSearch
+   * @description Searches the keyword in every key and parsed value of the current storage,
+   * lists the results in place of the key list and shows the first one.
+   * @param {string} keyword - The keyword to search for.
+   * @private
+   */
+  _performSearch(keyword) {
+    this.search = { keyword, results: [], index: -1 };
+    this.el.navBlock.classList.add("b-nav_searching");
+    this._refreshSearchResults();
+    if (this.search.results.length) {
+      this._showSearchResult(0);
+    }
+  }
+
+  /**
+   * @method _refreshSearchResults
+   * @description Runs the active search again, e.g. after the storage was reloaded, and renders the results list.
+   * @private
+   */
+  _refreshSearchResults() {
+    if (!this.search) return;
+
+    const { keyword, results: previousResults, index } = this.search;
+    const current = previousResults[index];
+    const isSameResult = (result) =>
+      result.key === current.key &&
+      result.match === current.match &&
+      JSON.stringify(result.path) === JSON.stringify(current.path);
+    const results = StorageSearch.search(
+      this.storage,
+      keyword,
+      SEARCH_RESULTS_LIMIT
+    );
+    this.search = {
+      keyword,
+      results,
+      index: current ? results.findIndex(isSameResult) : -1,
+    };
+
+    this.el.searchResults.innerHTML = results
+      .map(({ key, path, match }, index) => {
+        const pathLabel = JsonDiff.formatPath(path);
+        const label = WebStorageExplorer.escapeHTML(
+          !pathLabel || pathLabel.startsWith("[")
+            ? `${key}${pathLabel}`
+            : `${key}.${pathLabel}`
+        );
+        return `
+        <li class="b-keys-menu__item">
+            <a href="#" class="b-keys-menu__link b-search__result js-search-result" data-index="${index}" title="${label}">
+                <span class="b-search__path">${label}</span>
+                <span class="b-search__match">${match}</span>
+            </a>
+        </li>`;
+      })
+      .join("");
+    this._showActiveSearchResult();
+    this._updateFooterPosition();
+  }
+
+  /**
+   * @method _showActiveSearchResult
+   * @description Marks the shown result in the results list and updates the match counter.
+   * @private
+   */
+  _showActiveSearchResult() {
+    const { results, index } = this.search;
+    this.el.searchResults
+      .querySelectorAll(".js-search-result")
+      .forEach((link) => {
+        const isActive = Number(link.dataset.index) === index;
+        link.classList.toggle("b-keys-menu__link_active", isActive);
+        if (isActive) {
+          link.scrollIntoView({ block: "nearest" });
+        }
+      });
+
+    const total = `${results.length}${
+      results.length >= SEARCH_RESULTS_LIMIT ? "+" : ""
+    }`;
+    this.el.searchCounter.textContent = results.length
+      ? `${index === -1 ? "-" : index + 1} / ${total} matches`
+      : "No matches";
+  }
+
+  /**
+   * @method _moveSearchResult
+   * @description Shows the next or the previous search result, wrapping around at the ends of the list.
+   * @param {number} step - 1 for the next result, -1 for the previous one.
+   * @private
+   */
+  _moveSearchResult(step) {
+    if (!this.search || !this.search.results.length) return;
+
+    const { results, index } = this.search;
+    const nextIndex =
+      index === -1
+        ? step > 0
+          ? 0
+          : results.length - 1
+        : (index + step + results.length) % results.length;
+    this._showSearchResult(nextIndex);
+  }
+
+  /**
+   * @method _showSearchResult
+   * @description Opens the key of a search result, expands the JSON view down to the matching node
+   * and highlights the keyword.
+   * @param {number} index - The index of the result.
+   * @private
+   */
+  _showSearchResult(index) {
+    const result = this.search.results[index];
+    if (!result || !this.storage.has(result.key)) return;
+
+    this.search.index = index;
+    this.valueTab = "value";
+    this.showValueForKey(result.key);
+    this.lastShownKeyIndex = this.keyList.indexOf(result.key);
+    this._highlightSearchMatch(result.path);
+    this._showActiveSearchResult();
+  }
+
+  /**
+   * @method _highlightSearchMatch
+   * @description Marks the keyword in the value view. If the match is nested, the collapsed ancestors
+   * of the matching node are expanded and the marks of that node are emphasized.
+   * @param {Array<string|number>} path - The path of the matching node inside the shown value.
+   * @private
+   */
+  _highlightSearchMatch(path) {
     const $valueView = $(this.el.valueView); // jQuery needed for mark.js
     $valueView.unmark();
-    if (action === "performSearch" && keyword) {
-      $valueView.mark(keyword);
+    $valueView.mark(this.search.keyword);
+    if (!path.length) return;
+
+    const item = this.el.valueView.querySelector(
+      `li[data-path="${CSS.escape(JSON.stringify(path))}"]`
+    );
+    if (!item) return;
+
+    for (
+      let parent = item.parentElement.closest("li");
+      parent && this.el.valueView.contains(parent);
+      parent = parent.parentElement.closest("li")
+    ) {
+      const collapser = parent.querySelector(":scope > .collapser");
+      if (collapser && collapser.textContent === "+") {
+        collapser.click();
+      }
+    }
+
+    const marks = Array.from(item.querySelectorAll("mark")).filter(
+      (mark) => mark.closest("li") === item
+    );
+    marks.forEach((mark) => mark.classList.add("b-value-view__match_current"));
+    (marks[0] || item).scrollIntoView({ block: "center" });
+  }
+
+  /**
+   * @method _cancelSearch
+   * @description Closes the search results and brings the key list back.
+   * @private
+   */
+  _cancelSearch() {
+    if (!this.search) return;
+
+    this.search = null;
+    $(this.el.valueView).unmark(); // jQuery needed for mark.js
+    this.el.navBlock.classList.remove("b-nav_searching");
+    this.el.searchResults.innerHTML = "";
+    this._renderStorageKeys();
+    this._updateFooterPosition();
+  }
+
+  /**
+   * @method escapeHTML
+   * @description Escapes a string for use in HTML text and attribute values.
+   * @param {string} str - The string to escape.
+   * @returns {string} The escaped string.
+   * @static
+   */
+  static escapeHTML(str) {
+    return String(str)
+      .replace(/&/g, "&amp;")
+      .replace(/</g, "&lt;")
+      .replace(/>/g, "&gt;")
+      .replace(/"/g, "&quot;");
+  }
+
+  /**
+   * @method formatBytes
+   * @description Formats a size in bytes for display, e.g. '512 B', '1.5 KB' or '2.3 MB'.
+   * @param {number} bytes - The size in bytes.
+   * @returns {string} The formatted size.
+   * @static
+   */
+  static formatBytes(bytes) {
+    if (bytes < 1024) {
+      return `${bytes} B`;
     }
+    if (bytes < 1024 * 1024) {
+      return `${(bytes / 1024).toFixed(1)} KB`;
+    }
+    return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+  }
+
+  /**
+   * @method getKeyRange
+   * @description Returns the keys between two keys of a list, both included, in list order.
+   * @param {string[]} keys - The list of keys.
+   * @param {string} from - One end of the range.
+   * @param {string} to - The other end of the range.
+   * @returns {string[]} The keys of the range, or just `to` if `from` is not in the list.
+   * @static
+   */
+  static getKeyRange(keys, from, to) {
+    const start = keys.indexOf(from);
+    const end = keys.indexOf(to);
+    if (start === -1 || end === -1) {
+      return [to];
+    }
+    return keys.slice(Math.min(start, end), Math.max(start, end) + 1);
   }
 
   /**
    * @method tryParseJSON
-   * @description Safely attempts to parse a string as JSON.
+   * @description Safely attempts to parse a string as JSON. Values that are not strings
+   * (e.g. nested values that were already parsed) are returned as-is.
    * @param {string} strJSON - The string to parse.
    * @returns {object|null} The parsed object, or null if parsing fails or is not applicable.
    * @static
    */
   static tryParseJSON(strJSON) {
+    if (typeof strJSON !== "string") {
+      return strJSON;
+    }
     try {
       // Avoid parsing simple numbers and booleans that are valid JSON
       if (
@@ -576,9 +4682,11 @@ class WebStorageExplorer {
 
   /**
    * @method guessType
-   * @description Determines the likely data type of a value.
+   * @description Determines the likely data type of a value. Besides the JSON types, it recognises
+   * epoch timestamps (in seconds or milliseconds), and strings holding numbers, booleans,
+   * ISO dates, URLs, UUIDs and CSS colors.
    * @param {*} val - The value to inspect.
-   * @returns {string} The guessed type (e.g., 'object', 'array', 'string').
+   * @returns {string} The guessed type (e.g., 'object', 'array', 'string', 'timestamp', 'color').
    * @static
    */
   static guessType(val) {
@@ -587,27 +4695,111 @@ class WebStorageExplorer {
     const type = typeof val;
     if (type === "object") return "object";
     if (type === "boolean") return "boolean";
-    if (type === "number") return "number";
-    if (type === "string") return "string";
+    if (type === "number") {
+      if (!Number.isFinite(val)) return "other";
+      return WebStorageExplorer._isTimestamp(val) ? "timestamp" : "number";
+    }
+    if (type === "string") return WebStorageExplorer._guessStringType(val);
     return "other";
   }
+
+  /**
+   * @method _guessStringType
+   * @description Determines what kind of data a string holds.
+   * @param {string} str - The string to inspect.
+   * @returns {string} The guessed type, 'string' if nothing more specific matches.
+   * @private
+   * @static
+   */
+  static _guessStringType(str) {
+    if (str === "true" || str === "false") return "boolean";
+    if (/^-?\d+(\.\d+)?([eE][+-]?\d+)?$/.test(str)) {
+      return WebStorageExplorer._isTimestamp(Number(str))
+        ? "timestamp"
+        : "number";
+    }
+    if (
+      /^\d{4}-\d{2}-\d{2}([T ]\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?)?$/.test(
+        str
+      ) &&
+      !Number.isNaN(Date.parse(str))
+    ) {
+      return "date";
+    }
+    if (/^(https?|wss?|ftp):\/\/[^\s]+$/i.test(str)) return "url";
+    if (
+      /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(str)
+    ) {
+      return "uuid";
+    }
+    if (
+      /^#([0-9a-f]{3,4}|[0-9a-f]{6}|[0-9a-f]{8})$/i.test(str) ||
+      /^(rgb|hsl)a?\([\d\s.,%/+-]+\)$/i.test(str)
+    ) {
+      return "color";
+    }
+    return "string";
+  }
+
+  /**
+   * @method _isTimestamp
+   * @description Tells whether a number looks like an epoch timestamp between 2001 and 2100,
+   * in seconds (10 digits) or milliseconds (13 digits).
+   * @param {number} num - The number to inspect.
+   * @returns {boolean} True for plausible timestamps.
+   * @private
+   * @static
+   */
+  static _isTimestamp(num) {
+    if (!Number.isInteger(num)) return false;
+    const seconds = 1e9; // 2001-09-09
+    const maxSeconds = 4102444800; // 2100-01-01
+    return (
+      (num >= seconds && num < maxSeconds) ||
+      (num >= seconds * 1000 && num < maxSeconds * 1000)
+    );
+  }
+
+  /**
+   * @method toTime
+   * @description Converts a value of type 'timestamp' or 'date' to milliseconds since the epoch.
+   * @param {number|string} val - The value.
+   * @param {string} type - The type returned by `guessType`.
+   * @returns {number} The time in milliseconds, NaN for other types.
+   * @static
+   */
+  static toTime(val, type) {
+    if (type === "timestamp") {
+      const num = Number(val);
+      // Timestamps in seconds have 10 digits, the ones in milliseconds 13
+      return num < 1e11 ? num * 1000 : num;
+    }
+    if (type === "date") {
+      return Date.parse(val);
+    }
+    return NaN;
+  }
 }
 
-// Initialize the app
-window.App = new WebStorageExplorer();
+// Export the class for unit tests, initialize the app otherwise
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = WebStorageExplorer;
+} else {
+  window.App = new WebStorageExplorer();
 
-/**
- * Sets the keyboard shortcut hint based on the user's operating system.
- */
-document.addEventListener("DOMContentLoaded", () => {
-  const kbdEl = document.querySelector(".shortcut");
-  if (!kbdEl) return;
-
-  // Use modern userAgentData with a fallback for compatibility
-  const isMac =
-    (navigator.userAgentData &&
-      navigator.userAgentData.platform.toLowerCase() === "macos") ||
-    navigator.platform.toLowerCase().includes("mac");
-
-  kbdEl.textContent = isMac ? "Command+Option+I" : "Control+Shift+I";
-});
+  /**
+   * Sets the keyboard shortcut hint based on the user's operating system.
+   */
+  document.addEventListener("DOMContentLoaded", () => {
+    const kbdEl = document.querySelector(".shortcut");
+    if (!kbdEl) return;
+
+    // Use modern userAgentData with a fallback for compatibility
+    const isMac =
+      (navigator.userAgentData &&
+        navigator.userAgentData.platform.toLowerCase() === "macos") ||
+      navigator.platform.toLowerCase().includes("mac");
+
+    kbdEl.textContent = isMac ? "Command+Option+I" : "Control+Shift+I";
+  });
+}
@@ -0,0 +1,53 @@
+const chai = require('chai');
+const expect = chai.expect;
+const DeepJSON = require('../js/DeepJSON');
+const PanelClass = require('../js/panel');
+
+const parse = (text) => PanelClass.tryParseJSON(text);
+
+describe('Test static methods of DeepJSON class', () => {
+	describe('decode', () => {
+		it('should decode nested JSON strings and report their paths', () => {
+			const value = {user: '{"name":"Ann","tags":"[1,2]"}', _persist: '{"version":1}', note: 'plain'};
+			const result = DeepJSON.decode(value, parse);
+			expect(result.value).to.be.deep.equal({
+				user: {name: 'Ann', tags: [1, 2]},
+				_persist: {version: 1},
+				note: 'plain',
+			});
+			expect(result.paths).to.be.deep.equal([['user'], ['user', 'tags'], ['_persist']]);
+		});
+
+		it('should decode a double-encoded root and strings encoded several times', () => {
+			const result = DeepJSON.decode(JSON.stringify(JSON.stringify({a: 1})), parse);
+			expect(result.value).to.be.deep.equal({a: 1});
+			expect(result.paths).to.be.deep.equal([[], []]);
+		});
+
+		it('should leave strings that are not JSON objects or arrays alone', () => {
+			const result = DeepJSON.decode(['"quoted"', '12', '{broken'], parse);
+			expect(result.value).to.be.deep.equal(['"quoted"', '12', '{broken']);
+			expect(result.paths).to.be.deep.equal([]);
+		});
+	});
+
+	describe('encode', () => {
+		it('should restore the original nesting', () => {
+			const original = {user: JSON.stringify({name: 'Ann', tags: JSON.stringify([1, 2])}), n: 1};
+			const {value, paths} = DeepJSON.decode(original, parse);
+			expect(DeepJSON.encode(value, paths)).to.be.deep.equal(original);
+		});
+
+		it('should encode the root', () => {
+			const raw = JSON.stringify(JSON.stringify({a: [1]}));
+			const {value, paths} = DeepJSON.decode(parse(raw), parse);
+			expect(JSON.stringify(DeepJSON.encode(value, paths))).to.be.equal(raw);
+		});
+
+		it('should skip removed paths and not modify the value', () => {
+			const value = {a: {b: 1}};
+			expect(DeepJSON.encode(value, [['a'], ['x', 'y']])).to.be.deep.equal({a: '{"b":1}'});
+			expect(value).to.be.deep.equal({a: {b: 1}});
+		});
+	});
+});
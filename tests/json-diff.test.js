@@ -0,0 +1,81 @@
+const chai = require('chai');
+const expect = chai.expect;
+const JsonDiff = require('../js/JsonDiff');
+
+describe('Test static methods of JsonDiff class', () => {
+	describe('diff', () => {
+		it('should return no entries for equal values', () => {
+			const result = JsonDiff.diff({a: [1, {b: 'c'}]}, {a: [1, {b: 'c'}]});
+			expect(result).to.be.deep.equal([]);
+		});
+
+		it('should report added, removed and changed properties', () => {
+			const result = JsonDiff.diff({a: 1, b: 2}, {b: 3, c: 4});
+			expect(result).to.be.deep.equal([
+				{type: 'removed', path: ['a'], before: 1, after: undefined},
+				{type: 'changed', path: ['b'], before: 2, after: 3},
+				{type: 'added', path: ['c'], before: undefined, after: 4},
+			]);
+		});
+
+		it('should compare arrays by index', () => {
+			const result = JsonDiff.diff({items: [1, 2]}, {items: [1, 5, 6]});
+			expect(result).to.be.deep.equal([
+				{type: 'changed', path: ['items', 1], before: 2, after: 5},
+				{type: 'added', path: ['items', 2], before: undefined, after: 6},
+			]);
+		});
+
+		it('should report a type change as a single change', () => {
+			const result = JsonDiff.diff({a: {b: 1}}, {a: [1]});
+			expect(result).to.be.deep.equal([
+				{type: 'changed', path: ['a'], before: {b: 1}, after: [1]},
+			]);
+		});
+
+		it('should report a changed plain string at the root', () => {
+			const result = JsonDiff.diff('abc', 'abd');
+			expect(result).to.be.deep.equal([
+				{type: 'changed', path: [], before: 'abc', after: 'abd'},
+			]);
+		});
+	});
+
+	describe('compareStorages', () => {
+		it('should split keys into one-sided, changed and unchanged', () => {
+			const result = JsonDiff.compareStorages({a: '1', b: '2', c: '3'}, {b: '2', c: '4', d: '5'});
+			expect(result.onlyLeft).to.be.deep.equal(['a']);
+			expect(result.onlyRight).to.be.deep.equal(['d']);
+			expect(result.unchanged).to.be.deep.equal(['b']);
+			expect(result.changed).to.be.deep.equal([
+				{key: 'c', entries: [{type: 'changed', path: [], before: '3', after: '4'}]},
+			]);
+		});
+
+		it('should diff parsed values', () => {
+			const result = JsonDiff.compareStorages({a: '{"x":1}'}, {a: '{"x":2}'}, JSON.parse);
+			expect(result.changed[0].entries).to.be.deep.equal([
+				{type: 'changed', path: ['x'], before: 1, after: 2},
+			]);
+		});
+
+		it('should treat differently formatted equal values as unchanged', () => {
+			const result = JsonDiff.compareStorages({a: '{"x":1}'}, {a: '{ "x": 1 }'}, JSON.parse);
+			expect(result.unchanged).to.be.deep.equal(['a']);
+		});
+	});
+
+	describe('formatPath', () => {
+		it('should return an empty string for the root', () => {
+			expect(JsonDiff.formatPath([])).to.be.equal('');
+		});
+
+		it('should format properties and indexes', () => {
+			expect(JsonDiff.formatPath(['cart', 'items', 3, 'sku'])).to.be.equal('cart.items[3].sku');
+		});
+
+		it('should quote properties that are not identifiers', () => {
+			expect(JsonDiff.formatPath(['my key', 'a-b'])).to.be.equal('["my key"]["a-b"]');
+		});
+	});
+});
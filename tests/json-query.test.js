@@ -0,0 +1,65 @@
+const chai = require('chai');
+const expect = chai.expect;
+const JsonQuery = require('../js/JsonQuery');
+
+describe('Test static methods of JsonQuery class', () => {
+	const data = {
+		orders: [
+			{id: 1, status: 'failed', total: 30, tags: ['gift']},
+			{id: 2, status: 'paid', total: 5},
+			{id: 3, status: 'failed', total: 12},
+		],
+		user: {name: 'Ann', 'e-mail': 'ann@example.com', address: {city: 'Oslo'}},
+		limit: 10,
+	};
+	const values = (expression) => JsonQuery.query(data, expression).map(({value}) => value);
+
+	describe('query', () => {
+		it('should select children by name and index', () => {
+			expect(values('$.user.name')).to.be.deep.equal(['Ann']);
+			expect(values("$['user']['e-mail']")).to.be.deep.equal(['ann@example.com']);
+			expect(values('$.orders[1].id')).to.be.deep.equal([2]);
+			expect(values('$.orders[-1].id')).to.be.deep.equal([3]);
+			expect(values('$.missing.name')).to.be.deep.equal([]);
+		});
+
+		it('should support wildcards, unions and slices', () => {
+			expect(values('$.orders[*].id')).to.be.deep.equal([1, 2, 3]);
+			expect(values('$.orders[0,2].id')).to.be.deep.equal([1, 3]);
+			expect(values('$.orders[1:].id')).to.be.deep.equal([2, 3]);
+			expect(values('$.orders[::-1].id')).to.be.deep.equal([3, 2, 1]);
+			expect(values('$.user.address.*')).to.be.deep.equal(['Oslo']);
+		});
+
+		it('should support recursive descent', () => {
+			expect(values('$..city')).to.be.deep.equal(['Oslo']);
+			expect(values('$..tags[0]')).to.be.deep.equal(['gift']);
+		});
+
+		it('should filter with comparisons and logical operators', () => {
+			expect(values("$.orders[?(@.status=='failed')].id")).to.be.deep.equal([1, 3]);
+			expect(values("$.orders[?(@.status == 'failed' && @.total > 20)].id")).to.be.deep.equal([1]);
+			expect(values('$.orders[?(@.total < 10 || @.tags)].id')).to.be.deep.equal([1, 2]);
+			expect(values('$.orders[?(!@.tags)].id')).to.be.deep.equal([2, 3]);
+			expect(values('$.orders[?(@.total >= $.limit)].id')).to.be.deep.equal([1, 3]);
+			expect(values('$.orders[?(@.status =~ /^PA/i)].id')).to.be.deep.equal([2]);
+		});
+
+		it('should return the paths of the matches', () => {
+			const [match] = JsonQuery.query(data, '$..city');
+			expect(match.path).to.be.deep.equal(['user', 'address', 'city']);
+		});
+
+		it('should accept jq style expressions', () => {
+			expect(values('.orders[].id')).to.be.deep.equal([1, 2, 3]);
+			expect(values('.user.name')).to.be.deep.equal(['Ann']);
+			expect(values('$')).to.be.deep.equal([data]);
+		});
+
+		it('should report syntax errors with their position', () => {
+			expect(() => JsonQuery.query(data, '$.orders[')).to.throw(SyntaxError, /position 10/);
+			expect(() => JsonQuery.query(data, "$.orders[?(@.status == 'x)]")).to.throw(SyntaxError, /Unterminated/);
+			expect(() => JsonQuery.query(data, '$orders')).to.throw(SyntaxError);
+		});
+	});
+});
@@ -0,0 +1,67 @@
+const chai = require('chai');
+const expect = chai.expect;
+const KeyFilter = require('../js/KeyFilter');
+
+describe('Test static methods of KeyFilter class', () => {
+	const storage = new Map([
+		['app:user:prefs', {raw: '{"theme":"dark"}', type: 'object'}],
+		['app:cache', {raw: '[1,2]', type: 'array'}],
+		['token', {raw: 'abc.def', type: 'string'}],
+	]);
+	const keys = Array.from(storage.keys());
+	const options = (query, mode, extra) => Object.assign({query, mode, matchValues: false, matchTypes: false}, extra);
+
+	describe('globToRegExp', () => {
+		it('should match any sequence for *', () => {
+			expect(KeyFilter.globToRegExp('app:*').test('app:user:prefs')).to.be.true;
+		});
+
+		it('should match a single character for ?', () => {
+			expect(KeyFilter.globToRegExp('t?ken').test('token')).to.be.true;
+			expect(KeyFilter.globToRegExp('t?ken').test('tooken')).to.be.false;
+		});
+
+		it('should escape regular expression characters', () => {
+			expect(KeyFilter.globToRegExp('a.b').test('axb')).to.be.false;
+			expect(KeyFilter.globToRegExp('a.b').test('a.b')).to.be.true;
+		});
+
+		it('should ignore the case unless asked not to', () => {
+			expect(KeyFilter.globToRegExp('app:*').test('APP:user')).to.be.true;
+			expect(KeyFilter.globToRegExp('app:*', true).test('APP:user')).to.be.false;
+			expect(KeyFilter.globToRegExp('app:*', true).test('app:user')).to.be.true;
+		});
+	});
+
+	describe('filter', () => {
+		it('should return all keys for an empty query', () => {
+			expect(KeyFilter.filter(keys, storage, options('', 'substring'))).to.be.deep.equal(keys);
+		});
+
+		it('should match substrings case-insensitively', () => {
+			expect(KeyFilter.filter(keys, storage, options('APP', 'substring'))).to.be.deep.equal(['app:user:prefs', 'app:cache']);
+		});
+
+		it('should match globs against the whole key', () => {
+			expect(KeyFilter.filter(keys, storage, options('*prefs', 'glob'))).to.be.deep.equal(['app:user:prefs']);
+			expect(KeyFilter.filter(keys, storage, options('prefs', 'glob'))).to.be.deep.equal([]);
+		});
+
+		it('should match regular expressions', () => {
+			expect(KeyFilter.filter(keys, storage, options('^app:(cache|x)$', 'regex'))).to.be.deep.equal(['app:cache']);
+		});
+
+		it('should throw for an invalid regular expression', () => {
+			expect(() => KeyFilter.filter(keys, storage, options('(', 'regex'))).to.throw(SyntaxError);
+		});
+
+		it('should match values only when asked to', () => {
+			expect(KeyFilter.filter(keys, storage, options('dark', 'substring'))).to.be.deep.equal([]);
+			expect(KeyFilter.filter(keys, storage, options('dark', 'substring', {matchValues: true}))).to.be.deep.equal(['app:user:prefs']);
+		});
+
+		it('should match types only when asked to', () => {
+			expect(KeyFilter.filter(keys, storage, options('array', 'substring', {matchTypes: true}))).to.be.deep.equal(['app:cache']);
+		});
+	});
+});
@@ -0,0 +1,54 @@
+const chai = require('chai');
+const expect = chai.expect;
+const KeyRange = require('../js/KeyRange');
+
+describe('Test static methods of KeyRange class', () => {
+	describe('parseKey', () => {
+		it('should parse JSON keys', () => {
+			expect(KeyRange.parseKey('42')).to.be.equal(42);
+			expect(KeyRange.parseKey('"42"')).to.be.equal('42');
+			expect(KeyRange.parseKey('[1, "a"]')).to.be.deep.equal([1, 'a']);
+		});
+
+		it('should take other text as a string', () => {
+			expect(KeyRange.parseKey(' user:1 ')).to.be.equal('user:1');
+			expect(KeyRange.parseKey('true')).to.be.equal('true');
+			expect(KeyRange.parseKey('{"a": 1}')).to.be.equal('{"a": 1}');
+		});
+
+		it('should return undefined for an empty input', () => {
+			expect(KeyRange.parseKey('  ')).to.be.equal(undefined);
+		});
+	});
+
+	describe('fromInputs', () => {
+		it('should return null without bounds', () => {
+			expect(KeyRange.fromInputs({lower: '', upper: ''})).to.be.equal(null);
+		});
+
+		it('should build a single key range for equal closed bounds', () => {
+			expect(KeyRange.fromInputs({lower: '5', upper: '5'})).to.be.deep.equal({only: 5});
+		});
+
+		it('should build ranges with one or two bounds', () => {
+			expect(KeyRange.fromInputs({lower: 'a', upper: '', lowerOpen: true})).to.be.deep.equal({
+				lower: 'a',
+				lowerOpen: true,
+				upperOpen: false,
+			});
+			expect(KeyRange.fromInputs({lower: '1', upper: '10', upperOpen: true})).to.be.deep.equal({
+				lower: 1,
+				upper: 10,
+				lowerOpen: false,
+				upperOpen: true,
+			});
+		});
+	});
+
+	describe('formatKey', () => {
+		it('should show strings as they are and other keys as JSON', () => {
+			expect(KeyRange.formatKey('abc')).to.be.equal('abc');
+			expect(KeyRange.formatKey([1, 'a'])).to.be.equal('[1,"a"]');
+		});
+	});
+});
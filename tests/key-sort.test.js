@@ -0,0 +1,46 @@
+const chai = require('chai');
+const expect = chai.expect;
+const KeySort = require('../js/KeySort');
+
+describe('Test static methods of KeySort class', () => {
+	describe('sort', () => {
+		const keys = ['item10', 'b', 'item2', 'A'];
+		const data = {
+			item10: {size: 5, type: 'string', time: 1},
+			b: {size: 30, type: 'object', time: 3},
+			item2: {size: 5, type: 'array', time: 2},
+			A: {size: 1, type: 'string', time: 1},
+		};
+		const accessors = {
+			getSize: (key) => data[key].size,
+			getType: (key) => data[key].type,
+			getChangeTime: (key) => data[key].time,
+		};
+
+		it('should keep the storage order by default', () => {
+			expect(KeySort.sort(keys, 'none', accessors)).to.be.deep.equal(keys);
+		});
+
+		it('should sort names naturally and case-insensitively', () => {
+			expect(KeySort.sort(keys, 'name', accessors)).to.be.deep.equal(['A', 'b', 'item2', 'item10']);
+		});
+
+		it('should sort by size, largest first, then by name', () => {
+			expect(KeySort.sort(keys, 'size', accessors)).to.be.deep.equal(['b', 'item2', 'item10', 'A']);
+		});
+
+		it('should sort by type, then by name', () => {
+			expect(KeySort.sort(keys, 'type', accessors)).to.be.deep.equal(['item2', 'b', 'A', 'item10']);
+		});
+
+		it('should put the most recently changed keys first', () => {
+			expect(KeySort.sort(keys, 'changed', accessors)).to.be.deep.equal(['b', 'item2', 'A', 'item10']);
+		});
+
+		it('should not change the given list', () => {
+			const list = keys.slice();
+			KeySort.sort(list, 'name', accessors);
+			expect(list).to.be.deep.equal(keys);
+		});
+	});
+});
@@ -0,0 +1,69 @@
+const chai = require('chai');
+const expect = chai.expect;
+const KeyTree = require('../js/KeyTree');
+
+describe('Test static methods of KeyTree class', () => {
+	describe('parseSeparators', () => {
+		it('should split the setting on whitespace', () => {
+			expect(KeyTree.parseSeparators(' : /  . ')).to.be.deep.equal([':', '/', '.']);
+			expect(KeyTree.parseSeparators('')).to.be.deep.equal([]);
+		});
+	});
+
+	describe('splitKey', () => {
+		it('should split on any separator and keep it', () => {
+			expect(KeyTree.splitKey('app/cache:v2', [':', '/'])).to.be.deep.equal([
+				{name: 'app', separator: '/'},
+				{name: 'cache', separator: ':'},
+				{name: 'v2', separator: ''},
+			]);
+		});
+
+		it('should prefer longer separators', () => {
+			expect(KeyTree.splitKey('a::b', [':', '::'])).to.be.deep.equal([
+				{name: 'a', separator: '::'},
+				{name: 'b', separator: ''},
+			]);
+		});
+
+		it('should not split without separators', () => {
+			expect(KeyTree.splitKey('a:b', [])).to.be.deep.equal([{name: 'a:b', separator: ''}]);
+		});
+	});
+
+	describe('build', () => {
+		const keys = ['app:user:prefs', 'persist:root', 'app:user:token', 'app:theme', 'plain'];
+		const tree = KeyTree.build(keys, [':'], (key) => key.length);
+
+		it('should count keys and sizes per group', () => {
+			expect(tree.count).to.be.equal(5);
+			expect(tree.size).to.be.equal(keys.join('').length);
+			const [app] = tree.groups;
+			expect(app).to.include({name: 'app:', prefix: 'app:', count: 3});
+			expect(app.groups[0]).to.include({name: 'user:', prefix: 'app:user:', count: 2});
+			expect(app.groups[0].keys).to.be.deep.equal([
+				{key: 'app:user:prefs', name: 'prefs'},
+				{key: 'app:user:token', name: 'token'},
+			]);
+		});
+
+		it('should fold groups with a single key', () => {
+			expect(tree.groups).to.have.lengthOf(1);
+			expect(tree.keys).to.be.deep.equal([
+				{key: 'persist:root', name: 'persist:root'},
+				{key: 'plain', name: 'plain'},
+			]);
+			expect(tree.groups[0].keys).to.be.deep.equal([{key: 'app:theme', name: 'theme'}]);
+		});
+	});
+
+	describe('collectKeys and findGroup', () => {
+		const tree = KeyTree.build(['a:b:c', 'a:b:d', 'a:e', 'f'], [':']);
+
+		it('should find a group by prefix and list its keys', () => {
+			const group = KeyTree.findGroup(tree, 'a:');
+			expect(KeyTree.collectKeys(group)).to.have.members(['a:b:c', 'a:b:d', 'a:e']);
+			expect(KeyTree.findGroup(tree, 'x:')).to.be.null;
+		});
+	});
+});
@@ -0,0 +1,69 @@
+const chai = require('chai');
+const expect = chai.expect;
+const OriginStore = require('../js/OriginStore');
+
+/**
+ * A minimal in-memory implementation of the Web Storage interface.
+ */
+class MemoryStorage {
+	items = new Map();
+	get length() {
+		return this.items.size;
+	}
+	key(index) {
+		return Array.from(this.items.keys())[index] ?? null;
+	}
+	getItem(key) {
+		return this.items.has(key) ? this.items.get(key) : null;
+	}
+	setItem(key, value) {
+		this.items.set(key, String(value));
+	}
+	removeItem(key) {
+		this.items.delete(key);
+	}
+}
+
+describe('Test OriginStore class', () => {
+	it('should return the fallback when nothing is stored', () => {
+		const store = new OriginStore('snapshots', new MemoryStorage());
+		expect(store.get('https://example.com', [])).to.be.deep.equal([]);
+	});
+
+	it('should store data per origin', () => {
+		const store = new OriginStore('snapshots', new MemoryStorage());
+		store.set('https://a.com', [1]);
+		store.set('https://b.com', [2]);
+		expect(store.get('https://a.com')).to.be.deep.equal([1]);
+		expect(store.get('https://b.com')).to.be.deep.equal([2]);
+	});
+
+	it('should keep namespaces apart', () => {
+		const storage = new MemoryStorage();
+		new OriginStore('snapshots', storage).set('https://a.com', [1]);
+		expect(new OriginStore('pins', storage).get('https://a.com')).to.be.null;
+	});
+
+	it('should list origins of its namespace only', () => {
+		const storage = new MemoryStorage();
+		storage.setItem('theme', 'dark');
+		new OriginStore('pins', storage).set('https://b.com', []);
+		const store = new OriginStore('snapshots', storage);
+		store.set('https://a.com', []);
+		expect(store.origins()).to.be.deep.equal(['https://a.com']);
+	});
+
+	it('should return the fallback for unreadable data', () => {
+		const storage = new MemoryStorage();
+		storage.setItem('snapshots:https://a.com', '{broken');
+		const store = new OriginStore('snapshots', storage);
+		expect(store.get('https://a.com', [])).to.be.deep.equal([]);
+	});
+
+	it('should remove data of an origin', () => {
+		const store = new OriginStore('snapshots', new MemoryStorage());
+		store.set('https://a.com', [1]);
+		store.remove('https://a.com');
+		expect(store.get('https://a.com')).to.be.null;
+	});
+});
@@ -1,6 +1,25 @@
 const chai = require('chai');
 const expect = chai.expect;
 const PanelClass = require('../js/panel');
+const StorageIO = require('../js/StorageIO');
+global.DeepJSON = require('../js/DeepJSON');
+global.ValueDecoder = require('../js/ValueDecoder');
+
+/**
+ * A stub of OriginStore keeping the data in memory. Data is copied as JSON, like the real store does.
+ */
+class MemoryOriginStore {
+	data = new Map();
+	get(origin, fallback = null) {
+		return this.data.has(origin) ? JSON.parse(this.data.get(origin)) : fallback;
+	}
+	set(origin, data) {
+		this.data.set(origin, JSON.stringify(data));
+	}
+	remove(origin) {
+		this.data.delete(origin);
+	}
+}
 
 describe('Test static methods of WebStorageExplorer class', () => {
 	describe('tryParseJSON', () => {
@@ -106,10 +125,366 @@ describe('Test static methods of WebStorageExplorer class', () => {
 			expect(result).to.be.equal('other');
 		});
 
+		it('should return boolean for boolean strings', () => {
+			expect(PanelClass.guessType('true')).to.be.equal('boolean');
+			expect(PanelClass.guessType('false')).to.be.equal('boolean');
+		});
+
+		it('should return timestamp for epoch times in seconds and milliseconds', () => {
+			expect(PanelClass.guessType(1712345678)).to.be.equal('timestamp');
+			expect(PanelClass.guessType('1712345678000')).to.be.equal('timestamp');
+			expect(PanelClass.guessType('1712345678.5')).to.be.equal('number');
+			expect(PanelClass.guessType(99999)).to.be.equal('number');
+		});
+
+		it('should return date for ISO dates', () => {
+			expect(PanelClass.guessType('2024-04-05')).to.be.equal('date');
+			expect(PanelClass.guessType('2024-04-05T19:34:38.000Z')).to.be.equal('date');
+			expect(PanelClass.guessType('2024-13-45')).to.be.equal('string');
+		});
+
+		it('should return url for URLs', () => {
+			expect(PanelClass.guessType('https://example.com/path?a=1')).to.be.equal('url');
+			expect(PanelClass.guessType('example.com')).to.be.equal('string');
+		});
+
+		it('should return uuid for UUIDs', () => {
+			expect(PanelClass.guessType('123e4567-e89b-42d3-a456-426614174000')).to.be.equal('uuid');
+		});
+
+		it('should return color for CSS colors', () => {
+			expect(PanelClass.guessType('#fff')).to.be.equal('color');
+			expect(PanelClass.guessType('#ff000080')).to.be.equal('color');
+			expect(PanelClass.guessType('rgba(255, 0, 0, 0.5)')).to.be.equal('color');
+			expect(PanelClass.guessType('#12345')).to.be.equal('string');
+		});
+
 		it('should return other for a function', () => {
 			const result = PanelClass.guessType(() => {
 			});
 			expect(result).to.be.equal('other');
 		});
 	});
-});
\ No newline at end of file
+
+	describe('toTime', () => {
+		it('should convert timestamps in seconds and milliseconds', () => {
+			expect(PanelClass.toTime(1712345678, 'timestamp')).to.be.equal(1712345678000);
+			expect(PanelClass.toTime('1712345678000', 'timestamp')).to.be.equal(1712345678000);
+		});
+
+		it('should convert ISO dates', () => {
+			expect(PanelClass.toTime('2024-04-05T19:34:38.000Z', 'date')).to.be.equal(1712345678000);
+		});
+	});
+
+	describe('formatBytes', () => {
+		it('should format bytes, kilobytes and megabytes', () => {
+			expect(PanelClass.formatBytes(512)).to.be.equal('512 B');
+			expect(PanelClass.formatBytes(1536)).to.be.equal('1.5 KB');
+			expect(PanelClass.formatBytes(5 * 1024 * 1024)).to.be.equal('5.0 MB');
+		});
+	});
+
+	describe('getKeyRange', () => {
+		const keys = ['a', 'b', 'c', 'd'];
+
+		it('should return the keys between two keys in list order', () => {
+			expect(PanelClass.getKeyRange(keys, 'b', 'd')).to.deep.equal(['b', 'c', 'd']);
+			expect(PanelClass.getKeyRange(keys, 'c', 'a')).to.deep.equal(['a', 'b', 'c']);
+			expect(PanelClass.getKeyRange(keys, 'b', 'b')).to.deep.equal(['b']);
+		});
+
+		it('should return only the clicked key if the other end is not listed', () => {
+			expect(PanelClass.getKeyRange(keys, 'x', 'c')).to.deep.equal(['c']);
+		});
+	});
+});
+
+describe('Test the table view of WebStorageExplorer class', () => {
+	const originalLocalStorage = global.localStorage;
+	let store;
+
+	beforeEach(() => {
+		store = {tableView: 'true'};
+		global.localStorage = {
+			getItem: (key) => (key in store ? store[key] : null),
+			setItem: (key, value) => (store[key] = String(value)),
+		};
+	});
+
+	afterEach(() => {
+		global.localStorage = originalLocalStorage;
+	});
+
+	it('should show a row in the tree once without changing the table view setting', () => {
+		const shownValues = [];
+		const panel = {
+			isTableView: true,
+			lastShownKey: 'records',
+			showValueForKey: (...args) => shownValues.push(args),
+			el: {valueView: {querySelector: () => null}},
+		};
+
+		PanelClass.prototype._showRecordInTree.call(panel, 2);
+
+		expect(panel.isTableView).to.be.equal(true);
+		expect(shownValues).to.deep.equal([['records', false, true]]);
+		expect(store.tableView).to.be.equal('true');
+	});
+
+	it('should switch back to the table from a row shown in the tree', () => {
+		const panel = {
+			isTableView: true,
+			lastShownKey: 'records',
+			showValueForKey: () => {},
+			el: {valueView: {querySelector: () => null}},
+		};
+		panel._isRecordTableShown = PanelClass.prototype._isRecordTableShown;
+
+		PanelClass.prototype.toggleTableView.call(panel);
+
+		expect(panel.isTableView).to.be.equal(true);
+		expect(store.tableView).to.be.equal('true');
+	});
+});
+
+describe('Test the export of WebStorageExplorer class', () => {
+	const rawStorage = {
+		state: '{"user":"{\\"name\\":\\"Ann\\"}","list":[1,2]}',
+		token: 'eyJhIjoxfQ==',
+		quoted: '"hello"',
+		doubled: '"{\\"a\\":1}"',
+		count: '42',
+		text: 'hello world',
+	};
+
+	[false, true].forEach((isDeepDecode) => {
+		it(`should export parsed values that import as the same raw strings (deep decode ${isDeepDecode ? 'on' : 'off'})`, () => {
+			const panel = {isDeepDecode};
+			panel._parseValue = PanelClass.prototype._parseValue.bind(panel);
+			const text = StorageIO.toParsedJSON(rawStorage, (raw) => PanelClass.prototype._getExportValue.call(panel, raw));
+
+			const plan = StorageIO.planImport(rawStorage, StorageIO.parseFile(text), 'merge-overwrite');
+			expect(plan.added).to.deep.equal([]);
+			expect(plan.overwritten).to.deep.equal([]);
+			expect(JSON.parse(text).state.list).to.deep.equal([1, 2]);
+		});
+	});
+});
+
+describe('Test the trash of WebStorageExplorer class', () => {
+	let panel;
+	let writes;
+
+	beforeEach(() => {
+		global.TRASH_LIMIT = 3;
+		writes = [];
+		panel = Object.create(PanelClass.prototype);
+		Object.assign(panel, {
+			origin: 'https://a.com',
+			currentStorageName: 'localStorage',
+			toolView: '',
+			undoTrashId: 0,
+			trash: new MemoryOriginStore(),
+			storageDriver: {setItems: async (...args) => writes.push(args)},
+			clear: () => {},
+			update: async () => {},
+			_renderToolView: () => {},
+			_showToolMessage: () => {},
+			_hideUndoToast: () => (panel.undoTrashId = 0),
+		});
+	});
+
+	afterEach(() => {
+		delete global.TRASH_LIMIT;
+	});
+
+	it('should bump the id of entries added within the same millisecond, the latest first', () => {
+		const originalNow = Date.now;
+		Date.now = () => 1000;
+		let ids;
+		try {
+			ids = [panel._moveToTrash('delete', {a: '1'}), panel._moveToTrash('clear', {b: '2'})];
+		} finally {
+			Date.now = originalNow;
+		}
+		const trash = panel.trash.get('https://a.com');
+
+		expect(ids).to.deep.equal([1000, 1001]);
+		expect(trash.map(({id}) => id)).to.deep.equal([1001, 1000]);
+		expect(trash[0]).to.include({action: 'clear', storageName: 'localStorage'});
+		expect(trash[0].data).to.deep.equal({b: '2'});
+	});
+
+	it('should not add an entry without keys', () => {
+		expect(panel._moveToTrash('clear', {})).to.be.equal(0);
+		expect(panel.trash.get('https://a.com')).to.be.null;
+	});
+
+	it('should drop the oldest entries beyond the limit', () => {
+		['a', 'b', 'c', 'd'].forEach((key) => panel._moveToTrash('delete', {[key]: '1'}));
+		const trash = panel.trash.get('https://a.com');
+
+		expect(trash.map(({data}) => Object.keys(data)[0])).to.deep.equal(['d', 'c', 'b']);
+	});
+
+	it('should keep only the attributes of the trashed keys', () => {
+		const attributes = {a: {path: '/app'}, other: {path: '/'}};
+		panel._moveToTrash('delete', {a: '1', b: '2'}, attributes);
+
+		expect(panel.trash.get('https://a.com')[0].attributes).to.deep.equal({a: {path: '/app'}});
+	});
+
+	it('should restore one key and leave the others in the entry', async () => {
+		panel._moveToTrash('delete', {a: '1', b: '2'});
+
+		await panel._restoreFromTrash(0, 'a');
+		expect(writes).to.deep.equal([['localStorage', {a: '1'}, [], {}]]);
+		expect(panel.trash.get('https://a.com')[0].data).to.deep.equal({b: '2'});
+
+		await panel._restoreFromTrash(0, 'b');
+		expect(panel.trash.get('https://a.com')).to.deep.equal([]);
+	});
+
+	it('should restore cookies with their attributes', async () => {
+		panel.currentStorageName = 'cookies';
+		panel._moveToTrash('delete', {theme: 'dark', plain: 'x'}, {theme: {path: '/app'}});
+
+		await panel._restoreFromTrash(0);
+		expect(writes).to.deep.equal([['cookies', {theme: 'dark', plain: 'x'}, [], {theme: {path: '/app'}}]]);
+		expect(panel.trash.get('https://a.com')).to.deep.equal([]);
+	});
+
+	it('should undo the deletion of the toast, not the latest one', async () => {
+		panel.undoTrashId = panel._moveToTrash('delete', {a: '1'});
+		panel._moveToTrash('delete', {b: '2'});
+
+		await panel._undoDeletion();
+		expect(writes).to.deep.equal([['localStorage', {a: '1'}, [], {}]]);
+		expect(panel.trash.get('https://a.com').map(({data}) => data)).to.deep.equal([{b: '2'}]);
+		expect(panel.undoTrashId).to.be.equal(0);
+	});
+
+	it('should not restore anything when the entry of the toast is gone', async () => {
+		panel.undoTrashId = panel._moveToTrash('delete', {a: '1'});
+		panel.trash.remove('https://a.com');
+
+		await panel._undoDeletion();
+		expect(writes).to.deep.equal([]);
+	});
+});
+
+describe('Test the pinned and last viewed keys of WebStorageExplorer class', () => {
+	let panel;
+	let shownKeys;
+
+	beforeEach(() => {
+		global.KEY_HIGHLIGHT_TIMEOUT = 0;
+		shownKeys = [];
+		panel = Object.create(PanelClass.prototype);
+		Object.assign(panel, {
+			origin: 'https://a.com',
+			currentStorageName: 'localStorage',
+			storage: new Map([['a', {}], ['b', {}]]),
+			keyList: ['a', 'b'],
+			pinnedKeys: [],
+			pins: new MemoryOriginStore(),
+			lastKeys: new MemoryOriginStore(),
+			lastShownKey: '',
+			lastShownKeyIndex: -1,
+			loadedByUpdate: true,
+			editingKey: '',
+			highlightedKeys: new Set(),
+			_renderStorageKeys: () => {},
+			_tryToShowLastKey: () => shownKeys.push(panel.lastShownKey),
+			_tryToSelectNextKey: () => shownKeys.push(`next of ${panel.lastShownKeyIndex}`),
+		});
+	});
+
+	afterEach(() => {
+		delete global.KEY_HIGHLIGHT_TIMEOUT;
+	});
+
+	it('should keep pinned keys per origin and storage', () => {
+		panel._togglePinnedKey('a');
+		panel.currentStorageName = 'sessionStorage';
+		panel.pinnedKeys = [];
+		panel._togglePinnedKey('s');
+		expect(panel.pins.get('https://a.com')).to.deep.equal({localStorage: ['a'], sessionStorage: ['s']});
+
+		panel._togglePinnedKey('s');
+		expect(panel.pins.get('https://a.com')).to.deep.equal({localStorage: ['a']});
+		expect(panel.pins.get('https://b.com')).to.be.null;
+	});
+
+	it('should forget the origin when its last key is unpinned', () => {
+		panel._togglePinnedKey('a');
+		panel._togglePinnedKey('a');
+		expect(panel.pinnedKeys).to.deep.equal([]);
+		expect(panel.pins.get('https://a.com')).to.be.null;
+	});
+
+	it('should remember the last viewed key per origin and storage', () => {
+		panel._rememberLastKey('a');
+		panel.currentStorageName = 'sessionStorage';
+		panel._rememberLastKey('s');
+		panel.origin = 'https://b.com';
+		panel._rememberLastKey('x');
+
+		expect(panel.lastKeys.get('https://a.com')).to.deep.equal({localStorage: 'a', sessionStorage: 's'});
+		expect(panel.lastKeys.get('https://b.com')).to.deep.equal({sessionStorage: 'x'});
+	});
+
+	it('should show the remembered key when no key was viewed yet', () => {
+		panel.lastKeys.set('https://a.com', {localStorage: 'b'});
+		panel._checkForLastKey();
+
+		expect(shownKeys).to.deep.equal(['next of -1', 'b']);
+		expect(panel.lastShownKey).to.be.equal('b');
+		expect(panel.loadedByUpdate).to.be.equal(false);
+	});
+
+	it('should not show a remembered key that is missing', () => {
+		panel.lastKeys.set('https://a.com', {localStorage: 'gone'});
+		panel._checkForLastKey();
+
+		expect(panel.lastShownKey).to.be.equal('');
+	});
+
+	it('should prefer the shown key over the remembered one after a refresh', () => {
+		panel.lastKeys.set('https://a.com', {localStorage: 'b'});
+		panel.lastShownKey = 'a';
+		panel._checkForLastKey();
+
+		expect(shownKeys).to.deep.equal(['a']);
+	});
+
+	it('should select the next key when the shown key was deleted', () => {
+		panel.lastKeys.set('https://a.com', {localStorage: 'deleted'});
+		panel.lastShownKeyIndex = 1;
+		panel._checkForLastKey();
+
+		expect(shownKeys).to.deep.equal(['next of 1']);
+	});
+
+	it('should show the remembered key when a live update adds it before any key was viewed', () => {
+		panel.lastKeys.set('https://a.com', {localStorage: 'c'});
+		panel._checkForLastKey();
+		expect(panel.lastShownKey).to.be.equal('');
+
+		Object.assign(panel, {
+			isDeepDecode: false,
+			history: {recordSnapshot: () => []},
+			el: {initialText: {style: {}}},
+			_sortKeyList: () => (panel.keyList = Array.from(panel.storage.keys())),
+			_showStorageInfo: () => {},
+			_refreshSearchResults: () => {},
+			_refreshSizeView: () => {},
+			_updateFooterPosition: () => {},
+		});
+		panel._applyStorageChanges({added: ['c'], changed: [], removed: []}, {a: '1', b: '2', c: '3'}, {});
+
+		expect(panel.lastShownKey).to.be.equal('c');
+		expect(shownKeys).to.deep.equal(['next of -1', 'c']);
+	});
+});
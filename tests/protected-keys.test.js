@@ -0,0 +1,58 @@
+const chai = require('chai');
+const expect = chai.expect;
+global.KeyFilter = require('../js/KeyFilter');
+const ProtectedKeys = require('../js/ProtectedKeys');
+
+describe('Test static methods of ProtectedKeys class', () => {
+	describe('findEntry', () => {
+		const entries = ['auth_token', 'flags:*', 'locale?'];
+
+		it('should match exact key names', () => {
+			expect(ProtectedKeys.findEntry('auth_token', entries)).to.be.equal('auth_token');
+			expect(ProtectedKeys.findEntry('auth_token_old', entries)).to.be.equal(null);
+		});
+
+		it('should match glob patterns', () => {
+			expect(ProtectedKeys.findEntry('flags:beta', entries)).to.be.equal('flags:*');
+			expect(ProtectedKeys.findEntry('locale2', entries)).to.be.equal('locale?');
+			expect(ProtectedKeys.findEntry('locale', entries)).to.be.equal(null);
+		});
+
+		it('should be case-sensitive', () => {
+			expect(ProtectedKeys.findEntry('Auth_token', entries)).to.be.equal(null);
+			expect(ProtectedKeys.findEntry('FLAGS:beta', entries)).to.be.equal(null);
+		});
+
+		it('should prefer an exact key name over a pattern', () => {
+			expect(ProtectedKeys.findEntry('a*', ['a*b', 'a*'])).to.be.equal('a*');
+		});
+	});
+
+	describe('parseList', () => {
+		it('should group entries by origin', () => {
+			const text = 'https://a.com token\n\nhttps://b.com flags:*\nhttps://a.com my key\nhttps://a.com token';
+			expect(ProtectedKeys.parseList(text)).to.be.deep.equal({
+				'https://a.com': ['token', 'my key'],
+				'https://b.com': ['flags:*'],
+			});
+		});
+
+		it('should keep the leading and trailing spaces of keys', () => {
+			const byOrigin = {'https://a.com': [' token', 'locale ']};
+			expect(ProtectedKeys.parseList('https://a.com  token\nhttps://a.com locale ')).to.be.deep.equal(byOrigin);
+			expect(ProtectedKeys.parseList(ProtectedKeys.formatList(byOrigin))).to.be.deep.equal(byOrigin);
+		});
+
+		it('should throw for a line without a key', () => {
+			expect(() => ProtectedKeys.parseList('https://a.com token\nhttps://b.com')).to.throw(SyntaxError, 'Line 2');
+		});
+	});
+
+	describe('formatList', () => {
+		it('should write one line per entry, sorted by origin', () => {
+			const byOrigin = {'https://b.com': ['x'], 'https://a.com': ['token', 'my key']};
+			expect(ProtectedKeys.formatList(byOrigin)).to.be.equal('https://a.com token\nhttps://a.com my key\nhttps://b.com x');
+			expect(ProtectedKeys.parseList(ProtectedKeys.formatList(byOrigin))).to.be.deep.equal(byOrigin);
+		});
+	});
+});
@@ -0,0 +1,67 @@
+const chai = require('chai');
+const expect = chai.expect;
+const RecordTable = require('../js/RecordTable');
+
+describe('Test static methods of RecordTable class', () => {
+	const records = [
+		{id: 3, name: 'item10', tags: ['a']},
+		{id: 1, name: 'Item2', price: 5},
+		{id: 2, name: 'item1', price: 20, active: true},
+	];
+
+	describe('isRecordArray', () => {
+		it('should accept non-empty arrays of objects', () => {
+			expect(RecordTable.isRecordArray(records)).to.be.equal(true);
+			expect(RecordTable.isRecordArray([{}])).to.be.equal(true);
+		});
+
+		it('should reject other values', () => {
+			expect(RecordTable.isRecordArray([])).to.be.equal(false);
+			expect(RecordTable.isRecordArray([{a: 1}, 2])).to.be.equal(false);
+			expect(RecordTable.isRecordArray([{a: 1}, null])).to.be.equal(false);
+			expect(RecordTable.isRecordArray([[1], [2]])).to.be.equal(false);
+			expect(RecordTable.isRecordArray({a: 1})).to.be.equal(false);
+		});
+	});
+
+	describe('getColumns', () => {
+		it('should list properties in the order they are first found', () => {
+			expect(RecordTable.getColumns(records)).to.be.deep.equal(['id', 'name', 'tags', 'price', 'active']);
+		});
+	});
+
+	describe('getRows', () => {
+		it('should keep the array order by default', () => {
+			expect(RecordTable.getRows(records)).to.be.deep.equal([0, 1, 2]);
+		});
+
+		it('should sort numbers numerically and text naturally', () => {
+			expect(RecordTable.getRows(records, {sortColumn: 'id'})).to.be.deep.equal([1, 2, 0]);
+			expect(RecordTable.getRows(records, {sortColumn: 'id', sortDirection: -1})).to.be.deep.equal([0, 2, 1]);
+			expect(RecordTable.getRows(records, {sortColumn: 'name'})).to.be.deep.equal([2, 1, 0]);
+		});
+
+		it('should sort missing values last in both directions', () => {
+			expect(RecordTable.getRows(records, {sortColumn: 'price'})).to.be.deep.equal([1, 2, 0]);
+			expect(RecordTable.getRows(records, {sortColumn: 'price', sortDirection: -1})).to.be.deep.equal([2, 1, 0]);
+		});
+
+		it('should filter rows by the text of their cells', () => {
+			expect(RecordTable.getRows(records, {filter: 'ITEM1'})).to.be.deep.equal([0, 2]);
+			expect(RecordTable.getRows(records, {filter: '["a"]'})).to.be.deep.equal([0]);
+		});
+
+		it('should only filter on the given columns', () => {
+			expect(RecordTable.getRows(records, {filter: '2', columns: ['id']})).to.be.deep.equal([2]);
+		});
+	});
+
+	describe('formatCell', () => {
+		it('should format values as text', () => {
+			expect(RecordTable.formatCell(undefined)).to.be.equal('');
+			expect(RecordTable.formatCell(null)).to.be.equal('null');
+			expect(RecordTable.formatCell(false)).to.be.equal('false');
+			expect(RecordTable.formatCell({a: [1]})).to.be.equal('{"a":[1]}');
+		});
+	});
+});
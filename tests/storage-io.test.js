@@ -0,0 +1,107 @@
+const chai = require('chai');
+const expect = chai.expect;
+const StorageIO = require('../js/StorageIO');
+
+describe('Test static methods of StorageIO class', () => {
+	describe('parseFile', () => {
+		it('should keep string values as they are', () => {
+			const result = StorageIO.parseFile('{"a": "hello", "b": "{\\"x\\":1}"}');
+			expect(result).to.be.deep.equal({a: 'hello', b: '{"x":1}'});
+		});
+
+		it('should stringify parsed values', () => {
+			const result = StorageIO.parseFile('{"a": {"x": 1}, "b": [1, 2], "c": 3, "d": true, "e": null}');
+			expect(result).to.be.deep.equal({a: '{"x":1}', b: '[1,2]', c: '3', d: 'true', e: 'null'});
+		});
+
+		it('should throw for invalid JSON', () => {
+			expect(() => StorageIO.parseFile('{a: 1}')).to.throw('not valid JSON');
+		});
+
+		it('should throw for an array', () => {
+			expect(() => StorageIO.parseFile('[1, 2]')).to.throw('JSON object');
+		});
+	});
+
+	describe('planImport', () => {
+		const current = {a: '1', b: '2', c: '3'};
+		const incoming = {b: '2', c: '30', d: '4'};
+
+		it('should replace the whole storage', () => {
+			const plan = StorageIO.planImport(current, incoming, 'replace');
+			expect(plan.added).to.be.deep.equal(['d']);
+			expect(plan.overwritten).to.be.deep.equal(['c']);
+			expect(plan.kept).to.be.deep.equal(['b']);
+			expect(plan.removed).to.be.deep.equal(['a']);
+			expect(plan.protected).to.be.deep.equal([]);
+			expect(plan.items).to.be.deep.equal({c: '30', d: '4'});
+		});
+
+		it('should keep protected keys when replacing', () => {
+			const plan = StorageIO.planImport({...current, e: '5'}, incoming, 'replace', (key) => key === 'a');
+			expect(plan.removed).to.be.deep.equal(['e']);
+			expect(plan.protected).to.be.deep.equal(['a']);
+		});
+
+		it('should merge and overwrite existing keys', () => {
+			const plan = StorageIO.planImport(current, incoming, 'merge-overwrite');
+			expect(plan.overwritten).to.be.deep.equal(['c']);
+			expect(plan.kept).to.be.deep.equal(['b', 'a']);
+			expect(plan.removed).to.be.deep.equal([]);
+			expect(plan.items).to.be.deep.equal({c: '30', d: '4'});
+		});
+
+		it('should merge and keep existing keys', () => {
+			const plan = StorageIO.planImport(current, incoming, 'merge-keep');
+			expect(plan.added).to.be.deep.equal(['d']);
+			expect(plan.overwritten).to.be.deep.equal([]);
+			expect(plan.kept).to.be.deep.equal(['b', 'c', 'a']);
+			expect(plan.items).to.be.deep.equal({d: '4'});
+		});
+	});
+
+	describe('toRawJSON', () => {
+		it('should keep raw strings', () => {
+			const result = JSON.parse(StorageIO.toRawJSON({a: '{"x":1}'}));
+			expect(result).to.be.deep.equal({a: '{"x":1}'});
+		});
+	});
+
+	describe('toParsedJSON', () => {
+		it('should parse values with the given parser', () => {
+			const parse = (raw) => raw.startsWith('{') ? JSON.parse(raw) : raw;
+			const result = JSON.parse(StorageIO.toParsedJSON({a: '{"x":1}', b: 'hi'}, parse));
+			expect(result).to.be.deep.equal({a: {x: 1}, b: 'hi'});
+		});
+
+		it('should be read back by parseFile', () => {
+			const rawStorage = {a: '{"x":1}', b: 'hi'};
+			const text = StorageIO.toParsedJSON(rawStorage, (raw) => raw.startsWith('{') ? JSON.parse(raw) : raw);
+			expect(StorageIO.parseFile(text)).to.be.deep.equal(rawStorage);
+		});
+	});
+
+	describe('toCSV', () => {
+		it('should write a header and one row per key', () => {
+			const result = StorageIO.toCSV({a: 'hi'}, () => 'string');
+			expect(result).to.be.equal('key,type,length,value\r\na,string,2,hi');
+		});
+
+		it('should quote fields with commas, quotes and line breaks', () => {
+			const result = StorageIO.toCSV({'a,b': '{"x":"1\n2"}'}, () => 'object');
+			expect(result.split('\r\n')[1]).to.be.equal('"a,b",object,11,"{""x"":""1\n2""}"');
+		});
+	});
+
+	describe('toScript', () => {
+		it('should generate setItem calls', () => {
+			const result = StorageIO.toScript('sessionStorage', {a: 'x"y', b: '1'});
+			expect(result).to.be.equal('sessionStorage.setItem("a", "x\\"y");\nsessionStorage.setItem("b", "1");');
+		});
+
+		it('should write cookies to document.cookie', () => {
+			const result = StorageIO.toScript('cookies', {sid: 'abc', theme: 'dark'});
+			expect(result).to.be.equal('document.cookie = "sid=abc; path=/";\ndocument.cookie = "theme=dark; path=/";');
+		});
+	});
+});
@@ -0,0 +1,45 @@
+const chai = require('chai');
+const expect = chai.expect;
+const StorageSearch = require('../js/StorageSearch');
+
+describe('Test static methods of StorageSearch class', () => {
+	describe('search', () => {
+		const storage = new Map([
+			['cart', {value: {items: [{sku: 'ABC-1'}, {sku: 'xyz'}], skuCount: 2}}],
+			['abc', {value: 'plain'}],
+			['flag', {value: 'true'}],
+		]);
+
+		it('should find keys, properties and nested values', () => {
+			const result = StorageSearch.search(storage, 'abc');
+			expect(result).to.be.deep.equal([
+				{key: 'cart', path: ['items', 0, 'sku'], match: 'value'},
+				{key: 'abc', path: [], match: 'key'},
+			]);
+		});
+
+		it('should be case-insensitive and report property names', () => {
+			const result = StorageSearch.search(storage, 'SKU');
+			expect(result).to.be.deep.equal([
+				{key: 'cart', path: ['items', 0, 'sku'], match: 'property'},
+				{key: 'cart', path: ['items', 1, 'sku'], match: 'property'},
+				{key: 'cart', path: ['skuCount'], match: 'property'},
+			]);
+		});
+
+		it('should match plain string values at the root', () => {
+			const result = StorageSearch.search(storage, 'lai');
+			expect(result).to.be.deep.equal([{key: 'abc', path: [], match: 'value'}]);
+		});
+
+		it('should match numbers', () => {
+			const result = StorageSearch.search(storage, '2');
+			expect(result).to.be.deep.equal([{key: 'cart', path: ['skuCount'], match: 'value'}]);
+		});
+
+		it('should stop at the limit', () => {
+			const result = StorageSearch.search(storage, 'a', 2);
+			expect(result).to.have.lengthOf(2);
+		});
+	});
+});
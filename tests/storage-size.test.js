@@ -0,0 +1,57 @@
+const chai = require('chai');
+const expect = chai.expect;
+const StorageSize = require('../js/StorageSize');
+
+describe('Test static methods of StorageSize class', () => {
+	describe('getSize', () => {
+		it('should count two bytes per character of the key and the value', () => {
+			expect(StorageSize.getSize('ab', 'cde')).to.be.equal(10);
+			expect(StorageSize.getSize('', '')).to.be.equal(0);
+		});
+	});
+
+	describe('analyze', () => {
+		const rawStorage = {
+			'app:user': '{"name":"John"}',
+			'app:token': 'x',
+			'theme': 'dark',
+		};
+		const types = {'app:user': 'object', 'app:token': 'string', 'theme': 'string'};
+		const options = {
+			getType: (key) => types[key],
+			getPrefix: (key) => key.includes(':') ? key.split(':')[0] + ':' : '',
+			quota: 1000,
+		};
+
+		it('should compute the total size and its share of the quota', () => {
+			const result = StorageSize.analyze(rawStorage, options);
+			expect(result.total).to.be.equal(46 + 20 + 18);
+			expect(result.count).to.be.equal(3);
+			expect(result.percent).to.be.closeTo(8.4, 0.001);
+		});
+
+		it('should rank the heaviest keys', () => {
+			const result = StorageSize.analyze(rawStorage, {...options, limit: 2});
+			expect(result.heaviest.map(({key}) => key)).to.be.deep.equal(['app:user', 'app:token']);
+			expect(result.heaviest[0]).to.include({size: 46});
+			expect(result.heaviest[0].percent).to.be.closeTo(4.6, 0.001);
+		});
+
+		it('should break the size down by type and by prefix', () => {
+			const result = StorageSize.analyze(rawStorage, options);
+			expect(result.byType.map(({name, count, size}) => [name, count, size])).to.be.deep.equal([
+				['object', 1, 46],
+				['string', 2, 38],
+			]);
+			expect(result.byPrefix.map(({name, count, size}) => [name, count, size])).to.be.deep.equal([
+				['app:', 2, 66],
+				['', 1, 18],
+			]);
+		});
+
+		it('should handle an empty storage', () => {
+			const result = StorageSize.analyze({}, options);
+			expect(result).to.be.deep.equal({total: 0, count: 0, percent: 0, heaviest: [], byType: [], byPrefix: []});
+		});
+	});
+});
@@ -0,0 +1,47 @@
+const chai = require('chai');
+const expect = chai.expect;
+const StorageWatcher = require('../js/StorageWatcher');
+
+describe('Test static methods of StorageWatcher class', () => {
+	describe('diff', () => {
+		it('should report no changes for equal storages', () => {
+			const result = StorageWatcher.diff({a: '1', b: '2'}, {a: '1', b: '2'});
+			expect(result).to.be.deep.equal({added: [], changed: [], removed: []});
+		});
+
+		it('should report added keys', () => {
+			const result = StorageWatcher.diff({a: '1'}, {a: '1', b: '2'});
+			expect(result.added).to.be.deep.equal(['b']);
+		});
+
+		it('should report changed keys', () => {
+			const result = StorageWatcher.diff({a: '1', b: '2'}, {a: '1', b: '3'});
+			expect(result.changed).to.be.deep.equal(['b']);
+		});
+
+		it('should report removed keys', () => {
+			const result = StorageWatcher.diff({a: '1', b: '2'}, {b: '2'});
+			expect(result.removed).to.be.deep.equal(['a']);
+		});
+
+		it('should treat a key changed to an empty string as changed', () => {
+			const result = StorageWatcher.diff({a: '1'}, {a: ''});
+			expect(result.changed).to.be.deep.equal(['a']);
+		});
+
+		it('should not be confused by keys named like Object.prototype members', () => {
+			const result = StorageWatcher.diff({}, {constructor: 'x'});
+			expect(result.added).to.be.deep.equal(['constructor']);
+		});
+	});
+
+	describe('hasChanges', () => {
+		it('should return false for an empty diff', () => {
+			expect(StorageWatcher.hasChanges({added: [], changed: [], removed: []})).to.be.false;
+		});
+
+		it('should return true if a key was removed', () => {
+			expect(StorageWatcher.hasChanges({added: [], changed: [], removed: ['a']})).to.be.true;
+		});
+	});
+});
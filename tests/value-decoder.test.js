@@ -0,0 +1,77 @@
+const chai = require('chai');
+const expect = chai.expect;
+global.LZString = require('lz-string');
+const ValueDecoder = require('../js/ValueDecoder');
+const PanelClass = require('../js/panel');
+
+const parse = (text) => PanelClass.tryParseJSON(text);
+const base64 = (text) => Buffer.from(text).toString('base64');
+const base64url = (text) => Buffer.from(text).toString('base64url');
+
+describe('Test static methods of ValueDecoder class', () => {
+	describe('decode', () => {
+		it('should decode Base64 JSON', () => {
+			const result = ValueDecoder.decode(base64('{"a":[1,"ü"]}'), parse);
+			expect(result).to.be.deep.equal({value: {a: [1, 'ü']}, steps: ['base64', 'json']});
+		});
+
+		it('should decode URL-encoded Base64 JSON', () => {
+			const result = ValueDecoder.decode(encodeURIComponent(base64('{"a":1}')), parse);
+			expect(result.steps).to.be.deep.equal(['url', 'base64', 'json']);
+			expect(result.value).to.be.deep.equal({a: 1});
+		});
+
+		it('should decode URL-encoded text', () => {
+			const result = ValueDecoder.decode('hello%20world', parse);
+			expect(result).to.be.deep.equal({value: 'hello world', steps: ['url']});
+		});
+
+		it('should decode a JWT', () => {
+			const token = [base64url('{"alg":"HS256","typ":"JWT"}'), base64url('{"sub":"42","exp":1700000000}'), 'c2ln'].join('.');
+			const result = ValueDecoder.decode(token, parse);
+			expect(result.steps).to.be.deep.equal(['jwt']);
+			expect(result.value).to.be.deep.equal({
+				header: {alg: 'HS256', typ: 'JWT'},
+				payload: {sub: '42', exp: 1700000000},
+				signature: 'c2ln',
+			});
+		});
+
+		it('should decompress lz-string values', () => {
+			const json = '{"items":[1,2,3],"name":"cart"}';
+			expect(ValueDecoder.decode(LZString.compressToUTF16(json), parse)).to.be.deep.equal({
+				value: {items: [1, 2, 3], name: 'cart'},
+				steps: ['lz-string', 'json'],
+			});
+			expect(ValueDecoder.decode(LZString.compressToEncodedURIComponent(json), parse).steps)
+				.to.be.deep.equal(['lz-string', 'json']);
+		});
+
+		it('should return null for plain strings', () => {
+			['hello', 'dark-theme', 'some plain text', '12345678', 'a.b.c'].forEach((text) => {
+				expect(ValueDecoder.decode(text, parse)).to.be.null;
+			});
+		});
+
+		it('should use registered decoders', () => {
+			const decoder = {name: 'reverse', test: (text) => text.startsWith('!'), decode: (text) => text.slice(1).split('').reverse().join('')};
+			ValueDecoder.register(decoder, 0);
+			try {
+				expect(ValueDecoder.decode('!}1:"a"{', parse)).to.be.deep.equal({value: {a: 1}, steps: ['reverse', 'json']});
+			} finally {
+				ValueDecoder.decoders.splice(ValueDecoder.decoders.indexOf(decoder), 1);
+			}
+		});
+	});
+
+	describe('getJwtTimes', () => {
+		it('should list the time claims relative to now', () => {
+			const now = 1700000000 * 1000;
+			const times = ValueDecoder.getJwtTimes({exp: 1700000000 + 3 * 3600, iat: 1700000000 - 2 * 86400}, now);
+			expect(times).to.be.deep.equal([
+				{claim: 'exp', time: now + 3 * 3600 * 1000, relative: 'in 3 hours', isPast: false},
+				{claim: 'iat', time: now - 2 * 86400 * 1000, relative: '2 days ago', isPast: true},
+			]);
+		});
+	});
+});
@@ -0,0 +1,55 @@
+const chai = require('chai');
+const expect = chai.expect;
+const ValueHistory = require('../js/ValueHistory');
+
+describe('Test ValueHistory class', () => {
+	it('should record a new value', () => {
+		const history = new ValueHistory(5);
+		expect(history.record('localStorage', 'a', '1', 10)).to.be.true;
+		expect(history.getVersions('localStorage', 'a')).to.be.deep.equal([{time: 10, raw: '1'}]);
+	});
+
+	it('should not record the same value twice in a row', () => {
+		const history = new ValueHistory(5);
+		history.record('localStorage', 'a', '1', 10);
+		expect(history.record('localStorage', 'a', '1', 20)).to.be.false;
+		expect(history.getVersions('localStorage', 'a')).to.have.lengthOf(1);
+	});
+
+	it('should keep only the latest versions', () => {
+		const history = new ValueHistory(2);
+		['1', '2', '3'].forEach((raw, index) => history.record('localStorage', 'a', raw, index));
+		expect(history.getVersions('localStorage', 'a').map(({raw}) => raw)).to.be.deep.equal(['2', '3']);
+	});
+
+	it('should keep storages apart', () => {
+		const history = new ValueHistory(5);
+		history.record('localStorage', 'a', '1');
+		expect(history.getVersions('sessionStorage', 'a')).to.be.deep.equal([]);
+	});
+
+	it('should record keys missing from a snapshot as removed', () => {
+		const history = new ValueHistory(5);
+		history.recordSnapshot('localStorage', {a: '1', b: '2'}, 10);
+		const changedKeys = history.recordSnapshot('localStorage', {a: '1'}, 20);
+		expect(changedKeys).to.be.deep.equal(['b']);
+		expect(history.getVersions('localStorage', 'b')).to.be.deep.equal([
+			{time: 10, raw: '2'},
+			{time: 20, raw: null},
+		]);
+	});
+
+	it('should not record a removal for unknown keys', () => {
+		const history = new ValueHistory(5);
+		expect(history.record('localStorage', 'a', null)).to.be.false;
+	});
+
+	it('should return the time of the latest version as the last change', () => {
+		const history = new ValueHistory(5);
+		history.recordSnapshot('localStorage', {a: '1', b: '1'}, 10);
+		history.recordSnapshot('localStorage', {a: '1', b: '2'}, 20);
+		expect(history.getLastChangeTime('localStorage', 'a')).to.be.equal(10);
+		expect(history.getLastChangeTime('localStorage', 'b')).to.be.equal(20);
+		expect(history.getLastChangeTime('localStorage', 'c')).to.be.equal(0);
+	});
+});